@@ -0,0 +1,26 @@
+// Checks SoftwareVoxelizer without a browser: node dev/softwarevoxelizer-check.mjs
+// Needs a Node that loads the ES modules of src as they are, 20.19 or 22.12 and later, or older ones from 20.10
+// with --experimental-detect-module.
+import assert from 'assert';
+import SoftwareVoxelizer from '../src/gi/softwarevoxelizer.js';
+
+const voxelizer = new SoftwareVoxelizer({ min: [0, 0, 0], max: [4, 4, 4] }, 4);
+assert.deepStrictEqual(Array.from(voxelizer.dimensions), [4, 4, 4]);
+
+// A red square through the centers of the lowest row of voxels
+const square = {
+  positions: [0, 0.5, 0, 4, 0.5, 0, 4, 0.5, 4, 0, 0.5, 4],
+  uvs: [],
+};
+voxelizer.addMesh(square, [0, 1, 2, 0, 2, 3], { diffuse: [1.0, 0.0, 0.0] });
+
+const voxels = voxelizer.toVoxels();
+const voxel = (x, y, z) => Array.from(voxels.slice(4 * (x + 4 * (y + 4 * z)), 4 * (x + 4 * (y + 4 * z)) + 4));
+for (let z = 0; z < 4; z++) {
+  for (let x = 0; x < 4; x++) {
+    assert.deepStrictEqual(voxel(x, 0, z), [1, 0, 0, 1], `voxel ${x} 0 ${z} is filled`);
+    assert.deepStrictEqual(voxel(x, 1, z), [0, 0, 0, 0], `voxel ${x} 1 ${z} is empty`);
+  }
+}
+
+console.log('SoftwareVoxelizer ok');
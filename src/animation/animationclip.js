@@ -0,0 +1,25 @@
+import Track from './track.js';
+
+// A set of tracks played together, see Animator. duration defaults to the last key of the tracks.
+class AnimationClip {
+  constructor(name, tracks, duration = Math.max(0, ...tracks.map(track => track.duration))) {
+    this.name = name;
+    this.tracks = tracks;
+    this.duration = duration;
+  }
+
+  apply(time) {
+    this.tracks.forEach(track => track.apply(time));
+  }
+
+  // A PerspectiveCamera flying through keys of { time, position, target }, smooth through them by default
+  static cameraPath(camera, keys, interpolation = Track.CUBIC, name = 'camera') {
+    const times = keys.map(key => key.time);
+    return new AnimationClip(name, [
+      new Track(camera, 'position', times, keys.flatMap(key => Array.from(key.position)), interpolation),
+      new Track(camera, 'target', times, keys.flatMap(key => Array.from(key.target)), interpolation),
+    ]);
+  }
+};
+
+export default AnimationClip;
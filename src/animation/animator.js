@@ -0,0 +1,46 @@
+// Plays animation clips, call update with the seconds since the last frame, e.g. from a Clock, before
+// scene.traverse so the new transforms are picked up.
+class Animator {
+  constructor() {
+    this.actions = [];
+  }
+
+  // Starts clip from the beginning, or restarts it. Returns its action { clip, time, loop, speed, playing },
+  // playing turns false when a clip that doesn't loop reaches its end. A negative speed plays backwards.
+  play(clip, { loop = true, speed = 1.0 } = {}) {
+    let action = this.actions.find(action => action.clip === clip);
+    if (!action) {
+      action = { clip };
+      this.actions.push(action);
+    }
+    Object.assign(action, { time: speed < 0 ? clip.duration : 0.0, loop, speed, playing: true });
+    clip.apply(action.time);
+    return action;
+  }
+
+  // Leaves the targets where the clip was
+  stop(clip) {
+    this.actions = this.actions.filter(action => action.clip !== clip);
+  }
+
+  update(delta) {
+    this.actions.forEach(action => {
+      if (!action.playing) {
+        return;
+      }
+
+      const duration = action.clip.duration;
+      action.time += delta * action.speed;
+      if (action.loop && duration > 0) {
+        action.time = ((action.time % duration) + duration) % duration;
+      } else if ((action.speed > 0 && action.time >= duration) || (action.speed < 0 && action.time <= 0)) {
+        // Only the end the clip plays towards stops it, a zero delta at the start leaves it playing
+        action.time = Math.min(Math.max(action.time, 0), duration);
+        action.playing = false;
+      }
+      action.clip.apply(action.time);
+    });
+  }
+};
+
+export default Animator;
@@ -0,0 +1,32 @@
+// Seconds between frames for the Animator. A stopped clock hands out zero deltas and keeps its elapsed time.
+class Clock {
+  constructor() {
+    this.elapsed = 0.0;
+    this.running = true;
+    this._last = null;
+  }
+
+  start() {
+    this.running = true;
+    this._last = null;
+  }
+
+  stop() {
+    this.running = false;
+  }
+
+  // Seconds since the previous call, zero the first time
+  getDelta() {
+    if (!this.running) {
+      return 0.0;
+    }
+
+    const now = performance.now();
+    const delta = this._last === null ? 0.0 : (now - this._last) / 1000.0;
+    this._last = now;
+    this.elapsed += delta;
+    return delta;
+  }
+};
+
+export default Clock;
@@ -0,0 +1,51 @@
+import { mat4 } from 'gl-matrix';
+import { glContext } from '../renderer/renderer.js';
+import UniformBufferObject from '../utils/ubo.js';
+
+// Joints are Entities anywhere in the scene, animating them bends every Mesh bound to the skeleton with
+// Mesh.bindSkeleton. inverseBindMatrices take a vertex from mesh space to the space of each joint in the bind pose,
+// identity if left out.
+class Skeleton {
+  constructor(joints, inverseBindMatrices = joints.map(() => mat4.create())) {
+    if (joints.length > Skeleton.MAX_JOINTS) {
+      console.error("Skeleton has " + joints.length + " joints, only " + Skeleton.MAX_JOINTS + " are supported");
+    }
+    this.joints = joints.slice(0, Skeleton.MAX_JOINTS);
+    this.inverseBindMatrices = inverseBindMatrices.slice(0, Skeleton.MAX_JOINTS);
+  }
+
+  // Bone matrices of a mesh with the world matrix modelMatrix, they move its vertices from the bind pose to where
+  // the joints are now, still in mesh space so the shaders apply modelMatrix on top. The joints' world matrices
+  // have to be current.
+  computeBoneMatrices(out, modelMatrix) {
+    const meshInverse = mat4.invert(mat4.create(), modelMatrix);
+    const bone = mat4.create();
+    this.joints.forEach((joint, i) => {
+      mat4.multiply(bone, joint.modelMatrix, this.inverseBindMatrices[i]);
+      mat4.multiply(bone, meshInverse, bone);
+      out.set(bone, 16 * i);
+    });
+    return out;
+  }
+
+  // Binds the skinBuffer block of program to the buffer every skinned draw shares, uploading boneMatrices to it.
+  // The block has to be backed by a buffer even when nothing is skinned, leave boneMatrices out then.
+  static upload(program, boneMatrices = null) {
+    const gl = glContext();
+    if (!Skeleton._ubo) {
+      Skeleton._ubo = new UniformBufferObject(new Float32Array(16 * Skeleton.MAX_JOINTS));
+      Skeleton._ubo.bind();
+    }
+
+    if (boneMatrices) {
+      Skeleton._ubo.update(boneMatrices);
+    }
+    gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'skinBuffer'), Skeleton._ubo.location);
+  }
+};
+
+// Has to match the skinning shader chunk
+Skeleton.MAX_JOINTS = 128;
+Skeleton._ubo = null;
+
+export default Skeleton;
@@ -0,0 +1,140 @@
+import { quat } from 'gl-matrix';
+import { eulerFromQuat } from '../utils/common.js';
+
+// Keyframes of one property of a target, e.g. position of a Mesh, intensity or color of a light, target of a
+// PerspectiveCamera. times are seconds in increasing order, values hold the components of every key one after the
+// other. 'orientation' keys are quaternions written to the Euler rotation of an Entity.
+//
+// STEP holds a key until the next, LINEAR blends between keys, quaternions along the shortest arc, CUBIC is a
+// Catmull-Rom spline through the keys and CUBICSPLINE is glTF's, every key stored as in-tangent, value, out-tangent.
+class Track {
+  constructor(target, property, times, values, interpolation = Track.LINEAR) {
+    this.target = target;
+    this.property = property;
+    this.times = Array.from(times);
+    this.values = Array.from(values);
+    this.interpolation = interpolation;
+    this.components = this.values.length / this.times.length / (interpolation === Track.CUBICSPLINE ? 3 : 1);
+    this._value = new Array(this.components).fill(0);
+  }
+
+  get duration() { return this.times[this.times.length - 1]; }
+
+  // Value at time, held at the first and last key outside of them
+  sample(time, out = this._value) {
+    const times = this.times;
+    const last = times.length - 1;
+    if (time <= times[0] || last === 0) {
+      return this._key(0, out);
+    }
+    if (time >= times[last]) {
+      return this._key(last, out);
+    }
+
+    // Key before time
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= time) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+
+    const dt = times[hi] - times[lo];
+    const t = (time - times[lo]) / dt;
+    const n = this.components;
+    const quaternion = this.property === 'orientation';
+
+    if (this.interpolation === Track.STEP) {
+      return this._key(lo, out);
+    }
+
+    if (this.interpolation === Track.LINEAR) {
+      if (quaternion) {
+        return quat.slerp(out, this._key(lo, quat.create()), this._key(hi, quat.create()), t);
+      }
+      for (let c = 0; c < n; c++) {
+        out[c] = this.values[lo * n + c] * (1 - t) + this.values[hi * n + c] * t;
+      }
+      return out;
+    }
+
+    // Hermite basis
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const h00 = 2 * t3 - 3 * t2 + 1;
+    const h10 = t3 - 2 * t2 + t;
+    const h01 = -2 * t3 + 3 * t2;
+    const h11 = t3 - t2;
+
+    for (let c = 0; c < n; c++) {
+      let p0;
+      let p1;
+      let m0;
+      let m1;
+      if (this.interpolation === Track.CUBICSPLINE) {
+        // Tangents are per second
+        p0 = this.values[(3 * lo + 1) * n + c];
+        p1 = this.values[(3 * hi + 1) * n + c];
+        m0 = this.values[(3 * lo + 2) * n + c] * dt;
+        m1 = this.values[3 * hi * n + c] * dt;
+      } else {
+        // Catmull-Rom, the tangent at a key is the slope between its neighbours, scaled to this segment
+        const value = i => this.values[Math.min(Math.max(i, 0), last) * n + c];
+        const time = i => times[Math.min(Math.max(i, 0), last)];
+        p0 = value(lo);
+        p1 = value(hi);
+        m0 = (value(lo + 1) - value(lo - 1)) / (time(lo + 1) - time(lo - 1)) * dt;
+        m1 = (value(hi + 1) - value(hi - 1)) / (time(hi + 1) - time(hi - 1)) * dt;
+      }
+      out[c] = h00 * p0 + h10 * m0 + h01 * p1 + h11 * m1;
+    }
+
+    if (quaternion) {
+      quat.normalize(out, out);
+    }
+    return out;
+  }
+
+  // Writes the value at time to the target
+  apply(time) {
+    const value = this.sample(time);
+    const target = this.target;
+
+    if (this.property === 'orientation') {
+      eulerFromQuat(target.rotation, value);
+    } else if (typeof target[this.property] === 'number') {
+      target[this.property] = value[0];
+    } else {
+      // Vectors are updated in place, a direction track can leave w alone
+      const vector = target[this.property];
+      for (let c = 0; c < this.components; c++) {
+        vector[c] = value[c];
+      }
+    }
+
+    // Cameras look at their target
+    if (this.property === 'target' && typeof target.lookAt === 'function') {
+      target.lookAt();
+    }
+  }
+
+  _key(index, out) {
+    const n = this.components;
+    const offset = (this.interpolation === Track.CUBICSPLINE ? 3 * index + 1 : index) * n;
+    for (let c = 0; c < n; c++) {
+      out[c] = this.values[offset + c];
+    }
+    return out;
+  }
+};
+
+Track.STEP = 'step';
+Track.LINEAR = 'linear';
+Track.CUBIC = 'cubic';
+Track.CUBICSPLINE = 'cubicspline';
+
+export default Track;
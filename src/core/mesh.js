@@ -1,80 +1,86 @@
 import { glContext } from '../renderer/renderer.js';
 import Entity from './object.js';
-import Texture from '../renderer/texture.js';
+import Material from '../materials/material.js';
+import Skeleton from '../animation/skeleton.js';
 // For storing normal matrix, which depends on camera and is specific per mesh and NOT per object
-import { mat4 } from 'gl-matrix';
+import { mat4, vec3 } from 'gl-matrix';
 
+// geometry holds positions, normals, uvs and optionally tangents, bitangents, and joints and weights for skinning,
+// four joint indices and their weights per vertex. The material can be shared with other meshes.
 class Mesh extends Entity {
-  constructor(geometry, indices) {
+  constructor(geometry, indices, material = new Material()) {
     super();
 
+    this.material = material;
+    this.skeleton = null;
+    this.boneMatrices = null;
     this._normalMatrix = mat4.create();
     this._geometry = geometry;
     this._indices = indices;
     this._buffers = this._initializeBuffers();
+    this._boundingBox = this._computeBoundingBox();
   }
 
   get normalMatrix() { return this._normalMatrix; }
   get shaders() { return this._shaders; }
   get indexCount() { return this._indexCount; }
   get buffers() { return this._buffers; }
+  // Object space, { min, max }
+  get boundingBox() { return this._boundingBox; }
 
   set normalMatrix(normalMatrix) { this._normalMatrix = normalMatrix; }
 
-  setMaterialData(materialData) {
-    this.materialData = materialData;
-    if (materialData.mapSpecular) {
-      this._specularMap = new Texture();
-      this._specularMap.createTexture(materialData.mapSpecular.texture);
-    }
-
-    if (materialData.mapDiffuse) {
-      this._diffuseMap = new Texture();
-      this._diffuseMap.createTexture(materialData.mapDiffuse.texture);
-    }
-
-    if (materialData.mapBump) {
-      this._bumpMap = new Texture();
-      this._bumpMap.createTexture(materialData.mapBump.texture);
-    }
+  // The skeleton deforms the mesh, geometry needs joints and weights
+  bindSkeleton(skeleton) {
+    this.skeleton = skeleton;
+    this.boneMatrices = new Float32Array(16 * skeleton.joints.length);
+  }
 
-    if (materialData.mapDissolve) {
-      this._dissolveMap = new Texture();
-      this._dissolveMap.createTexture(materialData.mapDissolve.texture);
+  // Called by Scene.traverse once the world matrices are current
+  updateSkin() {
+    if (this.skeleton) {
+      this.skeleton.computeBoneMatrices(this.boneMatrices, this.modelMatrix);
     }
   }
 
-  uploadTextures(program) {
+  // Every program drawing meshes has the skinning chunk, unskinned meshes turn it off
+  uploadSkin(program) {
     const gl = glContext();
-    let location;
+    const skinned = Boolean(this.skeleton);
+    gl.uniform1i(gl.getUniformLocation(program, 'skinned'), skinned);
+    Skeleton.upload(program, skinned ? this.boneMatrices : null);
+  }
 
-    if (this._diffuseMap) {
-      gl.activeTexture(gl.TEXTURE0 + 0);
-      this._diffuseMap.bind();
-      location = gl.getUniformLocation(program, 'textureMap');
-      gl.uniform1i(location, 0); // Tex unit 0
+  // Bounding box of the transformed corners, call update() first if the entity has moved
+  worldBoundingBox() {
+    const { min, max } = this._boundingBox;
+    const worldMin = vec3.fromValues(Infinity, Infinity, Infinity);
+    const worldMax = vec3.fromValues(-Infinity, -Infinity, -Infinity);
+    const corner = vec3.create();
+
+    for (let i = 0; i < 8; i++) {
+      vec3.set(corner, i & 1 ? max[0] : min[0], i & 2 ? max[1] : min[1], i & 4 ? max[2] : min[2]);
+      vec3.transformMat4(corner, corner, this.modelMatrix);
+      vec3.min(worldMin, worldMin, corner);
+      vec3.max(worldMax, worldMax, corner);
     }
 
-    if (this._bumpMap) {
-      gl.activeTexture(gl.TEXTURE0 + 1);
-      this._bumpMap.bind();
-      location = gl.getUniformLocation(program, 'bumpMap');
-      gl.uniform1i(location, 1); // Tex unit 1
-    }
+    return { min: worldMin, max: worldMax };
+  }
 
-    if (this._specularMap) {
-      gl.activeTexture(gl.TEXTURE0 + 2);
-      this._specularMap.bind();
-      location = gl.getUniformLocation(program, 'specularMap');
-      gl.uniform1i(location, 2);
-    }
+  _computeBoundingBox() {
+    const positions = this._geometry.positions;
+    const min = vec3.fromValues(Infinity, Infinity, Infinity);
+    const max = vec3.fromValues(-Infinity, -Infinity, -Infinity);
 
-    if (this._dissolveMap) {
-      gl.activeTexture(gl.TEXTURE0 + 3);
-      this._dissolveMap.bind();
-      location = gl.getUniformLocation(program, 'dissolveMap');
-      gl.uniform1i(location, 3);
+    for (let i = 0; i < positions.length; i += 3) {
+      for (let j = 0; j < 3; j++) {
+        min[j] = Math.min(min[j], positions[i + j]);
+        max[j] = Math.max(max[j], positions[i + j]);
+      }
     }
+
+    return { min, max };
   }
 
   _initializeBuffers() {
@@ -171,6 +177,26 @@ class Mesh extends Entity {
       }
     }
 
+    if (geometry.joints && geometry.weights) {
+      // Joint indices, as floats like the rest
+      {
+        const jointBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, jointBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(geometry.joints), gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(5);
+        gl.vertexAttribPointer(5, 4, gl.FLOAT, false, 0, 0);
+      }
+
+      // Joint weights
+      {
+        const weightBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, weightBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(geometry.weights), gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(6);
+        gl.vertexAttribPointer(6, 4, gl.FLOAT, false, 0, 0);
+      }
+    }
+
     const indexBuffer = gl.createBuffer();
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint32Array(this._indices), gl.STATIC_DRAW);
@@ -181,6 +207,12 @@ class Mesh extends Entity {
     gl.bindVertexArray(this._vao);
     gl.drawElements(gl.TRIANGLES, this._indices.length, gl.UNSIGNED_INT, 0); 
   }
+
+  drawInstanced(instanceCount) {
+    const gl = glContext();
+    gl.bindVertexArray(this._vao);
+    gl.drawElementsInstanced(gl.TRIANGLES, this._indices.length, gl.UNSIGNED_INT, 0, instanceCount);
+  }
 }
 
 export default Mesh;
\ No newline at end of file
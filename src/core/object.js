@@ -1,5 +1,6 @@
 import { vec3, mat3, mat4, quat } from 'gl-matrix';
 
+// position, rotation and scale are relative to the parent, modelMatrix is the world matrix
 class Entity {
   constructor() {
     this.quaternionAxisAngle = vec3.create();
@@ -7,11 +8,96 @@ class Entity {
     this.rotation = vec3.create();
     this.scale = vec3.fromValues(1, 1, 1);
     this.quaternion = quat.create();
+    this.localMatrix = mat4.create();
     this.modelMatrix = mat4.create();
+
+    this.parent = null;
+    this.children = [];
+    this._scene = null; // only set on the root of a scene
+  }
+
+  get worldPosition() { return mat4.getTranslation(vec3.create(), this.modelMatrix); }
+
+  // Attaches child, detaching it from its previous parent first. Meshes and lights under a scene are drawn and lit.
+  add(child) {
+    if (child === this || child.contains(this)) {
+      console.error("Can't add an entity to itself or one of its children");
+      return;
+    }
+
+    if (child.parent) {
+      child.parent.remove(child);
+    }
+    child.parent = this;
+    this.children.push(child);
+
+    const scene = this.scene;
+    if (scene) {
+      scene._register(child);
+    }
+  }
+
+  remove(child) {
+    const index = this.children.indexOf(child);
+    if (index < 0) {
+      return;
+    }
+
+    const scene = this.scene;
+    if (scene) {
+      scene._unregister(child);
+    }
+    this.children.splice(index, 1);
+    child.parent = null;
+  }
+
+  // Scene this entity is in, or null
+  get scene() {
+    let entity = this;
+    while (entity.parent) {
+      entity = entity.parent;
+    }
+    return entity._scene;
   }
 
+  contains(entity) {
+    for (let e = entity; e; e = e.parent) {
+      if (e === this) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Depth first, this entity before its children
+  traverse(callback) {
+    callback(this);
+    this.children.forEach(child => child.traverse(callback));
+  }
+
+  traverseAncestors(callback) {
+    for (let e = this.parent; e; e = e.parent) {
+      callback(e);
+    }
+  }
+
+  // First entity in the subtree with the name
+  find(name) {
+    if (this.name === name) {
+      return this;
+    }
+    for (const child of this.children) {
+      const found = child.find(name);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  // Local and world matrices of this entity and everything under it, the parent's world matrix has to be current
   update() {
-    mat4.identity(this.modelMatrix);
+    mat4.identity(this.localMatrix);
     quat.identity(this.quaternion);
 
     quat.rotateX(this.quaternion, this.quaternion, this.rotation[0]);
@@ -19,10 +105,18 @@ class Entity {
     quat.rotateZ(this.quaternion, this.quaternion, this.rotation[2]);
 
     const axisAngle = quat.getAxisAngle(this.quaternionAxisAngle, this.quaternion);
-    mat4.translate(this.modelMatrix, this.modelMatrix, this.position);
-    mat4.rotate(this.modelMatrix, this.modelMatrix, axisAngle, this.quaternionAxisAngle);
-    mat4.scale(this.modelMatrix, this.modelMatrix, this.scale);
+    mat4.translate(this.localMatrix, this.localMatrix, this.position);
+    mat4.rotate(this.localMatrix, this.localMatrix, axisAngle, this.quaternionAxisAngle);
+    mat4.scale(this.localMatrix, this.localMatrix, this.scale);
+
+    if (this.parent) {
+      mat4.multiply(this.modelMatrix, this.parent.modelMatrix, this.localMatrix);
+    } else {
+      mat4.copy(this.modelMatrix, this.localMatrix);
+    }
+
+    this.children.forEach(child => child.update());
   }
 }
 
-export default Entity;
\ No newline at end of file
+export default Entity;
@@ -1,56 +1,273 @@
-import { mat4, vec4 } from 'gl-matrix';
+import { mat4, vec3, vec4 } from 'gl-matrix';
 import Gui from '../gui/gui.js';
 import PointLight from '../lights/pointlight.js';
 import DirectionalLight from '../lights/directionallight.js';
+import PerspectiveCamera from '../cameras/perspectivecamera.js';
+import OrthographicCamera from '../cameras/orthographiccamera.js';
+import Mesh from './mesh.js';
+import Entity from './object.js';
+import Material from '../materials/material.js';
+import GLTFLoader from '../utils/gltfloader.js';
+import ObjectLoader from '../utils/objectloader.js';
 //const dat = require('dat.gui').default;
 
+// Entities hang off root, objects and the light lists are the meshes and lights in it for the renderer
 class Scene {
   constructor() {
+    this.root = new Entity();
+    this.root._scene = this;
     this.objects = [];
     this.pointLights = [];
     this.directionalLights = [];
     this._gui = new Gui();
+    // Numbers the light folders of the Gui, names stay unique when lights are removed
+    this._lightCount = 0;
   }
 
   get gui() { return this._gui; }
 
   add(object) {
-    if (object instanceof PointLight) {
-      const light = object;
-      this.pointLights.push(light);
+    this.root.add(object);
+  }
+
+  remove(object) {
+    if (object.parent && object.scene === this) {
+      object.parent.remove(object);
+    }
+  }
+
+  // Depth first over every entity in the scene
+  traverseEntities(callback) {
+    this.root.children.forEach(child => child.traverse(callback));
+  }
+
+  // Called by Entity when a subtree joins or leaves the scene. Only Mesh instances join objects, the renderer
+  // needs their material and skin. Anything else that isn't a light, a group for instance, only passes its
+  // transform on to its children, where the scene used to draw every object that wasn't a light.
+  _register(entity) {
+    entity.traverse(object => {
+      if (object instanceof PointLight) {
+        const light = object;
+        this.pointLights.push(light);
+
+        const lightsGui = this._gui.lights;
+        const lightsSubFolder = lightsGui.addFolder("Light " + ++this._lightCount);
+        light._guiFolder = lightsSubFolder;
+
+        lightsSubFolder.add(light.position, 'x', -1000, 1000).name("Pos x");
+        lightsSubFolder.add(light.position, 'y', -1000, 1000).name("Pos y");
+        lightsSubFolder.add(light.position, 'z', -1000, 1000).name("Pos z");
+        lightsSubFolder.add(light, 'intensity', 0, 10).name("Intensity");
+        lightsSubFolder.add(light, 'radius', 0, 5000).name("Radius");
+      } else if (object instanceof DirectionalLight) {
+        const light = object;
+        this.directionalLights.push(light);
+        // Maybe
+        // const lightsGui = this._gui.lights;
+        // const lightsSubFolder = lightsGui.addFolder("Directional Light " + this.directionalLights.length);
+
+        // lightsSubFolder.add(light.direction, 'x', -1000, 1000).name("Dir x");
+        // lightsSubFolder.add(light.direction, 'y', -1000, 1000).name("Dir y");
+        // lightsSubFolder.add(light.direction, 'z', -1000, 1000).name("Dir z");
+      } else if (object instanceof Mesh) {
+        this.objects.push(object);
+      }
+    });
+  }
+
+  _unregister(entity) {
+    const without = (list, object) => {
+      const index = list.indexOf(object);
+      if (index >= 0) {
+        list.splice(index, 1);
+      }
+    };
+
+    entity.traverse(object => {
+      without(this.objects, object);
+      without(this.pointLights, object);
+      without(this.directionalLights, object);
+      if (object._guiFolder) {
+        this._gui.lights.removeFolder(object._guiFolder);
+        object._guiFolder = null;
+      }
+    });
+  }
+
+  // JSON document of the scene, the camera and the Gui settings, for checking set-ups in and sharing repros.
+  // Meshes are stored as their asset reference mesh.asset, { url, index }. GLTFLoader sets it, for OBJ files index
+  // is the material group of ObjectLoader.loadModelsAndMaterials. Their transform and material values are stored
+  // too, textures come from the asset. Other entities are stored as groups, and every entity below another one
+  // names its parent as "<list>/<index>", e.g. "objects/3".
+  toJSON(camera) {
+    const transform = entity => ({
+      position: Array.from(entity.position),
+      rotation: Array.from(entity.rotation),
+      scale: Array.from(entity.scale),
+    });
+
+    const document = {
+      version: 1,
+      objects: [],
+      groups: [],
+      pointLights: [],
+      directionalLights: [],
+      settings: this._gui.toJSON(),
+    };
+
+    // Parents come before their children
+    const keys = new Map();
+    this.traverseEntities(entity => {
+      let list;
+      let entry;
+      if (entity instanceof PointLight) {
+        list = 'pointLights';
+        entry = { ...transform(entity), color: Array.from(entity.color), intensity: entity.intensity, radius: entity.radius };
+      } else if (entity instanceof DirectionalLight) {
+        list = 'directionalLights';
+        entry = { ...transform(entity), direction: Array.from(entity.direction), color: Array.from(entity.color),
+          intensity: entity.intensity };
+      } else if (entity instanceof Mesh && entity.asset) {
+        list = 'objects';
+        entry = { asset: entity.asset, name: entity.name, ...transform(entity), material: entity.material.toJSON() };
+      } else {
+        if (entity instanceof Mesh) {
+          console.warn("Storing a mesh without an asset reference as an empty group", entity);
+        }
+        list = 'groups';
+        entry = { name: entity.name, ...transform(entity) };
+      }
+
+      if (entity.parent !== this.root) {
+        entry.parent = keys.get(entity.parent);
+      }
+      keys.set(entity, list + '/' + document[list].length);
+      document[list].push(entry);
+    });
+
+    if (camera instanceof PerspectiveCamera) {
+      const { ratio, near, far } = camera;
+      document.camera = { type: 'perspective', fov: camera.fov * 180 / Math.PI, ratio, near, far, ...transform(camera),
+        target: Array.from(camera.target), up: Array.from(camera.up) };
+    } else if (camera instanceof OrthographicCamera) {
+      const { left, right, bottom, top, near, far } = camera;
+      document.camera = { type: 'orthographic', left, right, bottom, top, near, far, ...transform(camera),
+        up: Array.from(camera.up) };
+    }
 
-      const lightsGui = this._gui.lights;
-      const lightsSubFolder = lightsGui.addFolder("Light " + this.pointLights.length);
+    return document;
+  }
 
-      lightsSubFolder.add(light.position, 'x', -1000, 1000).name("Pos x");
-      lightsSubFolder.add(light.position, 'y', -1000, 1000).name("Pos y");
-      lightsSubFolder.add(light.position, 'z', -1000, 1000).name("Pos z");  
-      return;
+  // Rebuilds a scene saved by toJSON, resolves to { scene, camera }. camera is null if none was saved.
+  // loadAsset(asset) resolves to the Mesh of an asset reference, the default loads .gltf and .glb files with
+  // GLTFLoader and anything else as OBJ with its MTL. Meshes whose asset fails to load are left out, their
+  // children go to the root.
+  static fromJSON(document, loadAsset = defaultAssetLoader()) {
+    if (!document || document.version !== 1) {
+      return Promise.reject(new Error("Not a scene document"));
     }
 
-    if (object instanceof DirectionalLight) {
-      const light = object;
-      this.directionalLights.push(light);
-      // Maybe
-      // const lightsGui = this._gui.lights;
-      // const lightsSubFolder = lightsGui.addFolder("Directional Light " + this.directionalLights.length);
-
-      // lightsSubFolder.add(light.direction, 'x', -1000, 1000).name("Dir x");
-      // lightsSubFolder.add(light.direction, 'y', -1000, 1000).name("Dir y");
-      // lightsSubFolder.add(light.direction, 'z', -1000, 1000).name("Dir z");
-      return;
+    const scene = new Scene();
+    if (document.settings) {
+      scene.gui.fromJSON(document.settings);
+    }
+
+    const setTransform = (entity, data) => {
+      vec3.copy(entity.position, data.position || [0, 0, 0]);
+      vec3.copy(entity.rotation, data.rotation || [0, 0, 0]);
+      vec3.copy(entity.scale, data.scale || [1, 1, 1]);
+      entity.update();
+    };
+
+    const create = {
+      groups: data => {
+        const group = new Entity();
+        group.name = data.name;
+        return group;
+      },
+      pointLights: data => new PointLight({ color: data.color, intensity: data.intensity, radius: data.radius }),
+      directionalLights: data => new DirectionalLight({ direction: data.direction, color: data.color, intensity: data.intensity }),
+      objects: data => loadAsset(data.asset).then(mesh => {
+        if (!mesh) {
+          return null;
+        }
+        mesh.asset = data.asset;
+        mesh.name = data.name;
+        // The textures come from the asset
+        mesh.material.fromJSON(data.material || {});
+        return mesh;
+      }).catch(error => {
+        console.error("Couldn't load scene asset " + JSON.stringify(data.asset), error);
+        return null;
+      }),
+    };
+
+    const entries = [];
+    Object.entries(create).forEach(([list, createEntity]) => {
+      (document[list] || []).forEach((data, index) => {
+        entries.push({ key: list + '/' + index, data, entity: Promise.resolve(createEntity(data)) });
+      });
+    });
+
+    let camera = null;
+    const cameraData = document.camera;
+    if (cameraData && cameraData.type === 'perspective') {
+      camera = new PerspectiveCamera(cameraData.fov, cameraData.ratio, cameraData.near, cameraData.far);
+      vec3.copy(camera.target, cameraData.target);
+      vec3.copy(camera.up, cameraData.up);
+      setTransform(camera, cameraData);
+    } else if (cameraData && cameraData.type === 'orthographic') {
+      const { left, right, bottom, top, near, far } = cameraData;
+      camera = new OrthographicCamera(left, right, bottom, top, near, far);
+      vec3.copy(camera.up, cameraData.up);
+      setTransform(camera, cameraData);
     }
 
-    this.objects.push(object);
+    return Promise.all(entries.map(entry => entry.entity)).then(entities => {
+      const byKey = new Map();
+      entries.forEach((entry, i) => {
+        if (entities[i]) {
+          setTransform(entities[i], entry.data);
+          byKey.set(entry.key, entities[i]);
+        }
+      });
+
+      entries.forEach(({ key, data }) => {
+        const entity = byKey.get(key);
+        if (!entity) {
+          return;
+        }
+        const parent = data.parent !== undefined ? byKey.get(data.parent) : null;
+        if (data.parent !== undefined && !parent) {
+          console.warn("Parent " + data.parent + " of " + key + " is missing, adding it to the root");
+        }
+        (parent || scene).add(entity);
+      });
+      return { scene, camera };
+    });
+  }
+
+  // World space { min, max } enclosing all objects, lights are not included
+  computeBoundingBox() {
+    const min = vec3.fromValues(Infinity, Infinity, Infinity);
+    const max = vec3.fromValues(-Infinity, -Infinity, -Infinity);
+
+    this.root.update();
+    this.objects.forEach(object => {
+      const box = object.worldBoundingBox();
+      vec3.min(min, min, box.min);
+      vec3.max(max, max, box.max);
+    });
+
+    return { min, max };
   }
 
   traverse(camera) {
     const gui = this._gui;
     camera.setFov(this._gui.fov);
-    // Update model and normal matrix
+    // World matrices down the hierarchy, then the normal matrices
+    this.root.update();
     for (let i = 0; i < this.objects.length; ++i) {
-      this.objects[i].update();
-
       const modelMatrix = this.objects[i].modelMatrix;
       const normalMatrix = mat4.create();
       const modelViewMatrix = mat4.create();
@@ -61,12 +278,38 @@ class Scene {
       mat4.invert(normalMatrix, modelViewMatrix);
       // Store normal matrix
       mat4.transpose(this.objects[i].normalMatrix, normalMatrix);
-    }
 
-    for (let i = 0; i < this.pointLights.length; i++) {
-      this.pointLights[i].update();
+      // Joints may sit anywhere in the hierarchy, so bones wait until every world matrix is done
+      this.objects[i].updateSkin();
     }
   }
 }
 
+// Loads every file once and hands out its meshes, a glTF file is loaded again when one of its meshes is asked for
+// twice. OBJ meshes are built the way dev/index.html does.
+function defaultAssetLoader() {
+  const gltfFiles = new Map();
+  const objFiles = new Map();
+  return ({ url, index }) => {
+    if (/\.gl(tf|b)$/i.test(url)) {
+      let file = gltfFiles.get(url);
+      if (!file || file.used.has(index)) {
+        file = { meshes: new GLTFLoader().load(url), used: new Set() };
+        gltfFiles.set(url, file);
+      }
+      file.used.add(index);
+      return file.meshes.then(meshes => meshes[index]);
+    }
+
+    if (!objFiles.has(url)) {
+      objFiles.set(url, new ObjectLoader().loadModelsAndMaterials([{
+        name: url, obj: url, mtl: true, indicesPerMaterial: true, calcTangentsAndBitangents: true,
+      }]));
+    }
+    return objFiles.get(url).then(([model]) => {
+      return new Mesh(model.objectData, model.indices[index], new Material(model.materialData.materialsByIndex[index]));
+    });
+  };
+}
+
 export default Scene;
\ No newline at end of file
@@ -0,0 +1,218 @@
+import { FORMAT_HALF, FORMAT_PACKED, voxelGrid, writeVolumeFile, encodeVoxels, toHalf } from './volumefile.js'
+
+// Voxelizes meshes on the CPU into the grid and layout of VoxelConeTracer.voxelTexture, level 0 with x running
+// fastest: RGBA floats for hdr (RGBA16F) volumes, otherwise RGBA8 bytes with the shared exponent of encodeVoxel.
+// No GL involved, so it runs in Node to check the GPU voxelization against or to bake volumes for loadVolume,
+// see dev/softwarevoxelizer-check.mjs.
+//
+// A voxel is filled by every triangle touching its box, including edges and corners (conservative), and gets
+// the average surface albedo of those triangles at full opacity. Unlike VoxelConeTracer.voxelize, which stores
+// radiance, the shadowed sun, point lights and emission, nothing is lit. Compare it with the albedo volume of
+// keepAttributes, and volumes baked with it give the cones unlit surface color.
+class SoftwareVoxelizer {
+  constructor(bounds, resolution, hdr = true) {
+    const grid = voxelGrid(bounds, resolution);
+    this.resolution = resolution;
+    this.hdr = hdr;
+    this.voxelSize = grid.voxelSize;
+    this.dimensions = grid.dimensions;
+    this.volumeMin = grid.volumeMin;
+
+    const [w, h, d] = this.dimensions;
+    this._albedo = new Float32Array(w * h * d * 3);
+    this._samples = new Float32Array(w * h * d);
+  }
+
+  // objectData as given by ObjectLoader, { positions, uvs }, with indices of its triangles.
+  // material:
+  //   diffuse, rgb multiplying the texture like Material.diffuse, white by default
+  //   texture, { width, height, data } with RGBA bytes from the top row down like ImageData, sampled nearest
+  //     with repeat the way the voxelization shader samples its textureMap
+  //   modelMatrix, column major 4x4 applied to the positions
+  addMesh(objectData, indices = objectData.indices, material = {}) {
+    const positions = this._toVoxelSpace(objectData.positions, material.modelMatrix);
+    const uvs = objectData.uvs;
+    const diffuse = material.diffuse || [1.0, 1.0, 1.0];
+    const texture = material.texture && uvs && uvs.length ? material.texture : null;
+
+    const vertex = i => [positions[3 * i], positions[3 * i + 1], positions[3 * i + 2]];
+    for (let t = 0; t + 2 < indices.length; t += 3) {
+      const triangle = [vertex(indices[t]), vertex(indices[t + 1]), vertex(indices[t + 2])];
+      this._rasterize(triangle, (center, index) => {
+        let color = diffuse;
+        if (texture) {
+          const [b0, b1, b2] = closestBarycentrics(center, triangle);
+          const uv = [0, 1].map(c =>
+            b0 * uvs[2 * indices[t] + c] + b1 * uvs[2 * indices[t + 1] + c] + b2 * uvs[2 * indices[t + 2] + c]);
+          color = sampleTexture(texture, uv).map((c, i) => c * diffuse[i]);
+        }
+
+        this._albedo[3 * index] += color[0];
+        this._albedo[3 * index + 1] += color[1];
+        this._albedo[3 * index + 2] += color[2];
+        this._samples[index] += 1.0;
+      });
+    }
+  }
+
+  // The volume in the layout of voxelTexture, a Float32Array for hdr and a Uint8Array otherwise
+  toVoxels() {
+    const floats = new Float32Array(this._samples.length * 4);
+    this._samples.forEach((samples, i) => {
+      if (samples > 0.0) {
+        floats.set([this._albedo[3 * i] / samples, this._albedo[3 * i + 1] / samples, this._albedo[3 * i + 2] / samples, 1.0], 4 * i);
+      }
+    });
+
+    if (this.hdr) {
+      return floats;
+    }
+    const bytes = new Uint8Array(floats.length);
+    encodeVoxels(floats, bytes);
+    return bytes;
+  }
+
+  // The volume as a file for VoxelConeTracer.loadVolume, which builds the mips
+  toVolumeFile() {
+    const voxels = this.toVoxels();
+    return writeVolumeFile({
+      format: this.hdr ? FORMAT_HALF : FORMAT_PACKED,
+      dimensions: this.dimensions,
+      resolution: this.resolution,
+      voxelSize: this.voxelSize,
+      volumeMin: this.volumeMin,
+      levels: [this.hdr ? Uint16Array.from(voxels, toHalf) : voxels],
+    });
+  }
+
+  // World positions to coordinates in voxels from volumeMin
+  _toVoxelSpace(positions, modelMatrix) {
+    const m = modelMatrix;
+    const result = new Float32Array(positions.length);
+    for (let i = 0; i < positions.length; i += 3) {
+      let [x, y, z] = [positions[i], positions[i + 1], positions[i + 2]];
+      if (m) {
+        [x, y, z] = [
+          m[0] * x + m[4] * y + m[8] * z + m[12],
+          m[1] * x + m[5] * y + m[9] * z + m[13],
+          m[2] * x + m[6] * y + m[10] * z + m[14],
+        ];
+      }
+      result[i] = (x - this.volumeMin[0]) / this.voxelSize;
+      result[i + 1] = (y - this.volumeMin[1]) / this.voxelSize;
+      result[i + 2] = (z - this.volumeMin[2]) / this.voxelSize;
+    }
+    return result;
+  }
+
+  // Calls visit with the center and index of every voxel the triangle overlaps
+  _rasterize(triangle, visit) {
+    // A triangle exactly on a voxel boundary touches the voxels on both sides
+    const lo = [0, 1, 2].map(i => Math.max(0, Math.ceil(Math.min(...triangle.map(v => v[i]))) - 1));
+    const hi = [0, 1, 2].map(i => Math.min(this.dimensions[i] - 1, Math.floor(Math.max(...triangle.map(v => v[i])))));
+    const [w, h] = this.dimensions;
+
+    for (let z = lo[2]; z <= hi[2]; z++) {
+      for (let y = lo[1]; y <= hi[1]; y++) {
+        for (let x = lo[0]; x <= hi[0]; x++) {
+          const center = [x + 0.5, y + 0.5, z + 0.5];
+          if (triangleBoxOverlap(center, 0.5, triangle)) {
+            visit(center, x + w * (y + h * z));
+          }
+        }
+      }
+    }
+  }
+};
+
+function sub(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+function dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+function cross(a, b) { return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]; }
+
+// Separating axis test of a triangle against the cube at center with half side half (Akenine-Möller).
+// Touching counts as overlapping.
+function triangleBoxOverlap(center, half, triangle) {
+  const v = triangle.map(p => sub(p, center));
+  const edges = [sub(v[1], v[0]), sub(v[2], v[1]), sub(v[0], v[2])];
+  const separated = axis => {
+    const p = v.map(p => dot(axis, p));
+    const r = half * (Math.abs(axis[0]) + Math.abs(axis[1]) + Math.abs(axis[2]));
+    return Math.min(...p) > r || Math.max(...p) < -r;
+  };
+
+  // Box faces
+  for (let i = 0; i < 3; i++) {
+    if (Math.min(v[0][i], v[1][i], v[2][i]) > half || Math.max(v[0][i], v[1][i], v[2][i]) < -half) {
+      return false;
+    }
+  }
+
+  // Triangle plane
+  const normal = cross(edges[0], edges[1]);
+  const r = half * (Math.abs(normal[0]) + Math.abs(normal[1]) + Math.abs(normal[2]));
+  if (Math.abs(dot(normal, v[0])) > r) {
+    return false;
+  }
+
+  // Box edges crossed with triangle edges
+  const axes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  return !edges.some(edge => axes.some(axis => separated(cross(axis, edge))));
+}
+
+// Barycentric coordinates of the point of the triangle closest to p (Ericson, Real-Time Collision Detection)
+function closestBarycentrics(p, [a, b, c]) {
+  const ab = sub(b, a), ac = sub(c, a), ap = sub(p, a);
+  const d1 = dot(ab, ap), d2 = dot(ac, ap);
+  if (d1 <= 0.0 && d2 <= 0.0) {
+    return [1, 0, 0];
+  }
+
+  const bp = sub(p, b);
+  const d3 = dot(ab, bp), d4 = dot(ac, bp);
+  if (d3 >= 0.0 && d4 <= d3) {
+    return [0, 1, 0];
+  }
+
+  const vc = d1 * d4 - d3 * d2;
+  if (vc <= 0.0 && d1 >= 0.0 && d3 <= 0.0) {
+    const t = d1 / (d1 - d3);
+    return [1 - t, t, 0];
+  }
+
+  const cp = sub(p, c);
+  const d5 = dot(ab, cp), d6 = dot(ac, cp);
+  if (d6 >= 0.0 && d5 <= d6) {
+    return [0, 0, 1];
+  }
+
+  const vb = d5 * d2 - d1 * d6;
+  if (vb <= 0.0 && d2 >= 0.0 && d6 <= 0.0) {
+    const t = d2 / (d2 - d6);
+    return [1 - t, 0, t];
+  }
+
+  const va = d3 * d6 - d5 * d4;
+  if (va <= 0.0 && d4 - d3 >= 0.0 && d5 - d6 >= 0.0) {
+    const t = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+    return [0, 1 - t, t];
+  }
+
+  // Degenerate triangles end up here with a zero denominator
+  const denominator = va + vb + vc;
+  if (!(Math.abs(denominator) > 0.0)) {
+    return [1, 0, 0];
+  }
+  const v = vb / denominator, w = vc / denominator;
+  return [1 - v - w, v, w];
+}
+
+// Nearest texel with repeat, v flipped like the voxelization shader
+function sampleTexture({ width, height, data }, [u, v]) {
+  const fract = x => x - Math.floor(x);
+  const x = Math.min(width - 1, Math.floor(fract(u) * width));
+  const y = Math.min(height - 1, Math.floor(fract(1.0 - v) * height));
+  const i = 4 * (x + y * width);
+  return [data[i] / 255.0, data[i + 1] / 255.0, data[i + 2] / 255.0];
+}
+
+export default SoftwareVoxelizer;
@@ -0,0 +1,264 @@
+import { glContext } from '../renderer/renderer.js';
+
+// Sparse storage for a cube of resolution³ voxels. Every node covers a cube of the volume and holds a brick of
+// brickSize³ voxels sampling it, the root at the coarsest resolution and the leaves at full resolution.
+// Only nodes that contain filled voxels get children, so empty space costs nothing below its parent.
+//
+// Bricks are filled from decoded RGBA voxels on the CPU with insertChunk and packed into two textures by build:
+// nodes, an RG32I texture with [first child, brick] per node (-1 for none, children are 8 consecutive nodes
+// in x, y, z order), and bricks, an RGBA16F pool of bricks in x, y, z order. In the pool every brick has a border
+// of one voxel copied from its neighbours, (brickSize + 2)³ voxels, so filtering across the edge of a brick
+// reaches the voxels next to it instead of clamping. See the coneTracing shader chunk for the lookup.
+class SparseVoxelOctree {
+  constructor(resolution, brickSize = SparseVoxelOctree.BRICK_SIZE) {
+    this.resolution = resolution;
+    this.brickSize = brickSize;
+    this.storedBrickSize = brickSize + 2;
+    // Depth of the leaves, the root is at depth 0
+    this.depth = Math.log2(resolution / brickSize);
+    if (!Number.isInteger(this.depth) || this.depth < 0) {
+      console.error("Octree resolution has to be a power of two multiple of the brick size, got " + resolution);
+    }
+
+    this.nodeTexture = null;
+    this.brickTexture = null;
+    this.nodeTextureWidth = 0;
+    this.brickPool = [0, 0, 0]; // bricks along x, y and z
+    this.nodeCount = 0;
+    this.brickCount = 0;
+    this._leaves = new Map();
+  }
+
+  clear() {
+    this._leaves = new Map();
+  }
+
+  // Copies the filled bricks of a chunk of voxels starting at voxel origin, both multiples of brickSize.
+  // data holds RGBA floats with x running fastest, colors not premultiplied.
+  insertChunk(origin, dimensions, data) {
+    const size = this.brickSize;
+    const [w, h] = dimensions;
+    const blocks = dimensions.map(d => d / size);
+
+    for (let bz = 0; bz < blocks[2]; bz++) {
+      for (let by = 0; by < blocks[1]; by++) {
+        for (let bx = 0; bx < blocks[0]; bx++) {
+          const brick = new Float32Array(size * size * size * 4);
+          let filled = false;
+          for (let z = 0; z < size; z++) {
+            for (let y = 0; y < size; y++) {
+              const row = (((bz * size + z) * h + by * size + y) * w + bx * size) * 4;
+              const target = ((z * size + y) * size) * 4;
+              brick.set(data.subarray(row, row + size * 4), target);
+              for (let x = 0; x < size && !filled; x++) {
+                filled = brick[target + x * 4 + 3] > 0.0;
+              }
+            }
+          }
+
+          if (filled) {
+            const n = this.resolution / size;
+            const key = this._key(origin[0] / size + bx, origin[1] / size + by, origin[2] / size + bz, n);
+            this._leaves.set(key, brick);
+          }
+        }
+      }
+    }
+  }
+
+  // Builds the coarser levels from the leaves and uploads nodes and bricks
+  build() {
+    const gl = glContext();
+
+    // levels[depth] maps the key of a node to its brick, only filled nodes are present
+    const levels = [];
+    levels[this.depth] = this._leaves;
+    for (let depth = this.depth - 1; depth >= 0; depth--) {
+      const n = 1 << depth;
+      const children = levels[depth + 1];
+      const parents = new Map();
+      children.forEach((brick, key) => {
+        const [x, y, z] = this._coords(key, 2 * n);
+        const parentKey = this._key(x >> 1, y >> 1, z >> 1, n);
+        if (!parents.has(parentKey)) {
+          parents.set(parentKey, this._downsample(x >> 1, y >> 1, z >> 1, 2 * n, children));
+        }
+      });
+      levels[depth] = parents;
+    }
+
+    // Breadth first, so the children of a node are next to each other
+    const nodes = [[-1, -1]];
+    const bricks = [];
+    const queue = [{ index: 0, depth: 0, x: 0, y: 0, z: 0 }];
+    for (let head = 0; head < queue.length; head++) {
+      const { index, depth, x, y, z } = queue[head];
+      const brick = levels[depth].get(this._key(x, y, z, 1 << depth));
+      if (!brick) {
+        continue;
+      }
+
+      nodes[index][1] = bricks.push(this._addBorder(x, y, z, 1 << depth, levels[depth])) - 1;
+      if (depth < this.depth) {
+        nodes[index][0] = nodes.length;
+        for (let i = 0; i < 8; i++) {
+          queue.push({ index: nodes.length, depth: depth + 1, x: 2 * x + (i & 1), y: 2 * y + ((i >> 1) & 1), z: 2 * z + (i >> 2) });
+          nodes.push([-1, -1]);
+        }
+      }
+    }
+
+    this._deleteTextures();
+    this.nodeCount = nodes.length;
+    this.brickCount = bricks.length;
+
+    // Nodes
+    this.nodeTextureWidth = Math.min(nodes.length, SparseVoxelOctree.NODE_TEXTURE_WIDTH);
+    const nodeTextureHeight = Math.ceil(nodes.length / this.nodeTextureWidth);
+    const nodeData = new Int32Array(this.nodeTextureWidth * nodeTextureHeight * 2);
+    nodes.forEach((node, i) => nodeData.set(node, 2 * i));
+
+    this.nodeTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.nodeTexture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RG32I, this.nodeTextureWidth, nodeTextureHeight);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, this.nodeTextureWidth, nodeTextureHeight, gl.RG_INTEGER, gl.INT, nodeData);
+
+    // Bricks, an empty volume still gets one so the sampler is complete
+    const perSide = Math.max(1, Math.ceil(Math.cbrt(bricks.length)));
+    this.brickPool = [perSide, perSide, Math.max(1, Math.ceil(bricks.length / (perSide * perSide)))];
+    const stored = this.storedBrickSize;
+    const poolSize = this.brickPool.map(count => count * stored);
+    const maxSize = gl.getParameter(gl.MAX_3D_TEXTURE_SIZE);
+    if (poolSize.some(s => s > maxSize)) {
+      console.error("Brick pool of size " + poolSize.join("x") + " is not supported, lower the voxel resolution");
+    }
+
+    this.brickTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_3D, this.brickTexture);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texStorage3D(gl.TEXTURE_3D, 1, gl.RGBA16F, ...poolSize);
+
+    const [px, py] = this.brickPool;
+    bricks.forEach((brick, i) => {
+      const x = i % px;
+      const y = Math.floor(i / px) % py;
+      const z = Math.floor(i / (px * py));
+      gl.texSubImage3D(gl.TEXTURE_3D, 0, x * stored, y * stored, z * stored, stored, stored, stored, gl.RGBA, gl.FLOAT, brick);
+    });
+
+    // Everything lives on the GPU now, a rebuild inserts all chunks again
+    this._leaves = new Map();
+  }
+
+  delete() {
+    this._deleteTextures();
+    this._leaves = new Map();
+  }
+
+  // Bytes of texture memory used by nodes and bricks
+  get memory() {
+    return this.nodeCount * 8 + this.brickCount * Math.pow(this.storedBrickSize, 3) * 8;
+  }
+
+  _deleteTextures() {
+    const gl = glContext();
+    if (this.nodeTexture) {
+      gl.deleteTexture(this.nodeTexture);
+    }
+    if (this.brickTexture) {
+      gl.deleteTexture(this.brickTexture);
+    }
+    this.nodeTexture = null;
+    this.brickTexture = null;
+  }
+
+  _key(x, y, z, n) {
+    return x + n * (y + n * z);
+  }
+
+  _coords(key, n) {
+    return [key % n, Math.floor(key / n) % n, Math.floor(key / (n * n))];
+  }
+
+  // Brick of node (x, y, z) on a grid of n³ nodes with the border voxels of the surrounding bricks,
+  // empty where there is no neighbour
+  _addBorder(x, y, z, n, bricks) {
+    const size = this.brickSize;
+    const stored = this.storedBrickSize;
+    const neighbours = [];
+    for (let i = 0; i < 27; i++) {
+      const [nx, ny, nz] = [x + i % 3 - 1, y + Math.floor(i / 3) % 3 - 1, z + Math.floor(i / 9) - 1];
+      const inside = [nx, ny, nz].every(c => c >= 0 && c < n);
+      neighbours.push(inside ? bricks.get(this._key(nx, ny, nz, n)) : undefined);
+    }
+
+    // Which of the three neighbours along an axis a stored voxel comes from, and the voxel in there
+    const source = p => p === 0 ? [0, size - 1] : (p === stored - 1 ? [2, 0] : [1, p - 1]);
+    const padded = new Float32Array(stored * stored * stored * 4);
+    for (let pz = 0; pz < stored; pz++) {
+      const [bz, vz] = source(pz);
+      for (let py = 0; py < stored; py++) {
+        const [by, vy] = source(py);
+        for (let px = 0; px < stored; px++) {
+          const [bx, vx] = source(px);
+          const brick = neighbours[bx + 3 * by + 9 * bz];
+          if (brick) {
+            const i = ((vz * size + vy) * size + vx) * 4;
+            padded.set(brick.subarray(i, i + 4), ((pz * stored + py) * stored + px) * 4);
+          }
+        }
+      }
+    }
+    return padded;
+  }
+
+  // Brick of node (x, y, z) from the bricks of its children on a grid of n³ nodes.
+  // Same as VoxelMipShader, the color is averaged over the filled children only.
+  _downsample(x, y, z, n, children) {
+    const size = this.brickSize;
+    const octants = [];
+    for (let i = 0; i < 8; i++) {
+      octants.push(children.get(this._key(2 * x + (i & 1), 2 * y + ((i >> 1) & 1), 2 * z + (i >> 2), n)));
+    }
+
+    const brick = new Float32Array(size * size * size * 4);
+    for (let vz = 0; vz < size; vz++) {
+      for (let vy = 0; vy < size; vy++) {
+        for (let vx = 0; vx < size; vx++) {
+          let r = 0.0, g = 0.0, b = 0.0, a = 0.0;
+          for (let i = 0; i < 8; i++) {
+            const cx = 2 * vx + (i & 1), cy = 2 * vy + ((i >> 1) & 1), cz = 2 * vz + (i >> 2);
+            const child = octants[(cx >= size ? 1 : 0) + (cy >= size ? 2 : 0) + (cz >= size ? 4 : 0)];
+            if (!child) {
+              continue;
+            }
+
+            const j = (((cz % size) * size + cy % size) * size + cx % size) * 4;
+            const alpha = child[j + 3];
+            r += child[j] * alpha;
+            g += child[j + 1] * alpha;
+            b += child[j + 2] * alpha;
+            a += alpha;
+          }
+
+          if (a > 0.0) {
+            const j = ((vz * size + vy) * size + vx) * 4;
+            brick.set([r / a, g / a, b / a, a / 8.0], j);
+          }
+        }
+      }
+    }
+    return brick;
+  }
+};
+
+SparseVoxelOctree.BRICK_SIZE = 8; // voxels along each side of a brick
+SparseVoxelOctree.NODE_TEXTURE_WIDTH = 2048;
+
+export default SparseVoxelOctree;
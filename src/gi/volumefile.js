@@ -0,0 +1,166 @@
+// Baked voxel volumes, see VoxelConeTracer.saveVolume and loadVolume.
+//
+// Little endian, a 48 byte header followed by the mip levels from 0 up, each w * h * d RGBA voxels with x
+// running fastest:
+//   char[4] magic 'GIVV', uint32 version, uint32 format (FORMAT_HALF or FORMAT_PACKED), uint32[3] dimensions,
+//   uint32 resolution, float32 voxelSize, float32[3] volumeMin (grid origin in world space), uint32 level count
+// FORMAT_HALF voxels are half floats as in RGBA16F volumes, FORMAT_PACKED are the bytes of RGBA8 volumes
+// with the shared exponent of encodeVoxel in shaderchunks.js.
+
+const MAGIC = 'GIVV';
+const VERSION = 1;
+const HEADER_SIZE = 48;
+
+export const FORMAT_HALF = 0;
+export const FORMAT_PACKED = 1;
+
+// The grid of voxels VoxelConeTracer.setVolume puts over bounds, a { min, max } box grown around its center
+// to a whole number of cubic voxels with resolution of them along its longest side
+export function voxelGrid(bounds, resolution) {
+  const extent = [0, 1, 2].map(i => bounds.max[i] - bounds.min[i]);
+  const voxelSize = Math.max(...extent) / resolution;
+  const dimensions = extent.map(e => Math.max(1, Math.ceil(e / voxelSize - 1e-3)));
+  const volumeMin = [0, 1, 2].map(i => 0.5 * (bounds.min[i] + bounds.max[i]) - 0.5 * dimensions[i] * voxelSize);
+  return { voxelSize, dimensions, volumeMin };
+}
+
+// Dimensions of each mip level, every level halves the previous one rounding down
+export function levelDimensions(dimensions, levelCount) {
+  const levels = [];
+  for (let level = 0; level < levelCount; level++) {
+    levels.push(dimensions.map(d => Math.max(1, d >> level)));
+  }
+  return levels;
+}
+
+// levels holds a Uint16Array of half floats per level for FORMAT_HALF, a Uint8Array for FORMAT_PACKED
+export function writeVolumeFile({ format, dimensions, resolution, voxelSize, volumeMin, levels }) {
+  const bytesPerVoxel = format === FORMAT_HALF ? 8 : 4;
+  const size = levelDimensions(dimensions, levels.length)
+    .reduce((sum, [w, h, d]) => sum + w * h * d * bytesPerVoxel, HEADER_SIZE);
+
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  for (let i = 0; i < 4; i++) {
+    view.setUint8(i, MAGIC.charCodeAt(i));
+  }
+  view.setUint32(4, VERSION, true);
+  view.setUint32(8, format, true);
+  dimensions.forEach((d, i) => view.setUint32(12 + 4 * i, d, true));
+  view.setUint32(24, resolution, true);
+  view.setFloat32(28, voxelSize, true);
+  [0, 1, 2].forEach(i => view.setFloat32(32 + 4 * i, volumeMin[i], true));
+  view.setUint32(44, levels.length, true);
+
+  let offset = HEADER_SIZE;
+  levels.forEach(level => {
+    new Uint8Array(buffer, offset, level.byteLength).set(new Uint8Array(level.buffer, level.byteOffset, level.byteLength));
+    offset += level.byteLength;
+  });
+  return buffer;
+}
+
+// Inverse of writeVolumeFile, null if buffer doesn't hold a volume
+export function readVolumeFile(buffer) {
+  const view = new DataView(buffer);
+  const magic = buffer.byteLength >= HEADER_SIZE ? String.fromCharCode(...new Uint8Array(buffer, 0, 4)) : '';
+  if (magic !== MAGIC || view.getUint32(4, true) !== VERSION) {
+    console.error("Not a voxel volume file of version " + VERSION);
+    return null;
+  }
+
+  const format = view.getUint32(8, true);
+  const dimensions = [0, 1, 2].map(i => view.getUint32(12 + 4 * i, true));
+  const levelCount = view.getUint32(44, true);
+  const bytesPerVoxel = format === FORMAT_HALF ? 8 : 4;
+
+  let offset = HEADER_SIZE;
+  const levels = [];
+  for (const [w, h, d] of levelDimensions(dimensions, levelCount)) {
+    const byteLength = w * h * d * bytesPerVoxel;
+    if (offset + byteLength > buffer.byteLength) {
+      console.error("Voxel volume file is truncated");
+      return null;
+    }
+    // Copied so the levels are aligned whatever the offset
+    const bytes = buffer.slice(offset, offset + byteLength);
+    levels.push(format === FORMAT_HALF ? new Uint16Array(bytes) : new Uint8Array(bytes));
+    offset += byteLength;
+  }
+
+  return {
+    format,
+    dimensions,
+    resolution: view.getUint32(24, true),
+    voxelSize: view.getFloat32(28, true),
+    volumeMin: [0, 1, 2].map(i => view.getFloat32(32 + 4 * i, true)),
+    levels,
+  };
+}
+
+const floatView = new Float32Array(1);
+const bitsView = new Uint32Array(floatView.buffer);
+
+export function toHalf(value) {
+  floatView[0] = value;
+  const bits = bitsView[0];
+  const sign = (bits >> 16) & 0x8000;
+  const exponent = ((bits >> 23) & 0xff) - 112;
+  const mantissa = bits & 0x7fffff;
+
+  if (exponent <= 0) {
+    // Denormal or zero
+    if (exponent < -10) {
+      return sign;
+    }
+    return sign | ((mantissa | 0x800000) >> (1 - exponent + 13));
+  }
+  if (exponent === 143) {
+    // Inf and nan, nan keeps a mantissa bit
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  }
+  if (exponent >= 31) {
+    // Clamped to the largest half like the render target would
+    return sign | 0x7bff;
+  }
+  return sign | (exponent << 10) | (mantissa >> 13);
+}
+
+export function fromHalf(half) {
+  const sign = half & 0x8000 ? -1.0 : 1.0;
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  if (exponent === 0) {
+    return sign * Math.pow(2, -14) * (mantissa / 1024.0);
+  }
+  if (exponent === 31) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+  return sign * Math.pow(2, exponent - 15) * (1.0 + mantissa / 1024.0);
+}
+
+// RGBA8 voxels to floats, the CPU side of decodeVoxel in shaderchunks.js
+export function decodeVoxels(bytes, target, offset = 0) {
+  for (let i = 0; i < bytes.length; i += 4) {
+    const exponent = bytes[i + 3] >> 4;
+    const scale = Math.pow(2, exponent) / 255.0;
+    target[offset + i] = bytes[i] * scale;
+    target[offset + i + 1] = bytes[i + 1] * scale;
+    target[offset + i + 2] = bytes[i + 2] * scale;
+    target[offset + i + 3] = (bytes[i + 3] & 15) / 15.0;
+  }
+}
+
+// Floats to RGBA8 voxels, the CPU side of encodeVoxel in shaderchunks.js
+export function encodeVoxels(floats, target) {
+  for (let i = 0; i < floats.length; i += 4) {
+    const maxComponent = Math.max(floats[i], floats[i + 1], floats[i + 2]);
+    const exponent = Math.min(Math.max(Math.ceil(Math.log2(Math.max(maxComponent, 1.0))), 0), 15);
+    const scale = 255.0 / Math.pow(2, exponent);
+    const opacity = Math.floor(Math.min(Math.max(floats[i + 3], 0.0), 1.0) * 15.0 + 0.5);
+    for (let c = 0; c < 3; c++) {
+      target[i + c] = Math.round(Math.min(Math.max(floats[i + c] * scale, 0.0), 255.0));
+    }
+    target[i + 3] = exponent * 16 + opacity;
+  }
+}
@@ -1,95 +1,438 @@
 import VoxelizationShader from '../materials/voxelizationshader.js'
 import VoxelDebugShader from '../materials/voxeldebugshader.js'
 import ConeTracerShader from '../materials/conetracershader.js'
+import DeferredShader from '../materials/deferredshader.js'
 import WorldPositionShader from '../materials/worldpositionshader.js'
 import ScreenSpaceImageShader from '../materials/screenspaceimageshader.js'
+import VoxelMergeShader from '../materials/voxelmergeshader.js'
+import AnisotropicMipShader from '../materials/anisotropicmipshader.js'
+import VoxelMipShader from '../materials/voxelmipshader.js'
+import VoxelBounceShader from '../materials/voxelbounceshader.js'
+import VoxelEditShader from '../materials/voxeleditshader.js'
+import SparseVoxelOctree from './sparsevoxeloctree.js'
+import VoxelQuery from './voxelquery.js'
+import VoxelMesher from './voxelmesher.js'
+import { FORMAT_HALF, FORMAT_PACKED, voxelGrid, levelDimensions, writeVolumeFile, readVolumeFile, toHalf, fromHalf, decodeVoxels, encodeVoxels } from './volumefile.js'
 import FrameBufferObject from '../utils/framebufferobject.js'
 import OrthographicCamera from '../cameras/orthographiccamera.js'
 import Cube from '../geometry/cube.js'
 import Mesh from '../core/mesh.js'
+import Material from '../materials/material.js'
 import Quad from '../geometry/quad.js'
 import { glContext } from '../renderer/renderer.js';
 import { vec3, mat3, mat4, quat, vec4 } from 'gl-matrix';
 
+function mipLevels(dimensions) {
+  return Math.floor(Math.log2(Math.max(...dimensions))) + 1;
+}
+
+// TODO: Move boilerplate code to texture class
+function createVolumeTexture(target, width, height, depth, internalFormat, minFilter, wrap = glContext().CLAMP_TO_EDGE) {
+  const gl = glContext();
+  const texture = gl.createTexture();
+  gl.bindTexture(target, texture);
+  gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, minFilter);
+  gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, minFilter === gl.LINEAR || minFilter === gl.LINEAR_MIPMAP_LINEAR ? gl.LINEAR : gl.NEAREST);
+
+  gl.texParameteri(target, gl.TEXTURE_WRAP_R, wrap);
+  gl.texParameteri(target, gl.TEXTURE_WRAP_S, wrap);
+  gl.texParameteri(target, gl.TEXTURE_WRAP_T, wrap);
+
+  // Mip levels are rendered by VoxelConeTracer._generateMipmaps, array layers are never mipmapped
+  const levels = minFilter === gl.NEAREST || minFilter === gl.LINEAR || target === gl.TEXTURE_2D_ARRAY ? 1 : mipLevels([width, height, depth]);
+  gl.texStorage3D(target, levels, internalFormat, width, height, depth);
+  return texture;
+}
+
+// Modulo that stays positive for negative a
+function mod(a, n) {
+  return ((a % n) + n) % n;
+}
+
 class VoxelConeTracer {
-  constructor(sceneScale, cubeSize, resolution) {
+  // Voxels are cubic, resolution is the voxel count along the longest side of the volume.
+  // Without bounds nothing is allocated until setVolume or setClipmap is called.
+  constructor(resolution, bounds = null) {
     const gl = glContext();
 
-    this.sceneScale = sceneScale;
-
-    this.sceneScaleInv = 1.0 / sceneScale;
-    this.voxelWorldSize = sceneScale / resolution;
-    this.voxelWorldSizeInv = 1.0 / this.voxelWorldSize;
-
-    this.voxelTextureSize = resolution;
-    const cube = new Cube(cubeSize, cubeSize, cubeSize);
-    this.cubeMesh = new Mesh(cube.geometry, cube.indices);
+    this.resolution = resolution;
+    this.bounds = null;
+    this.voxelTexture = null;
+    this.cascades = null;
+    this.octree = null;
+
+    // How setVolume stores the voxels. The octree is voxelized chunk by chunk and read back to be built on
+    // the CPU, it only changes with voxelize and leaves out anisotropic voxels, bounces and the debug view.
+    this.storage = VoxelConeTracer.DENSE_STORAGE;
+    // Started by voxelize, voxelizeOctreeChunks continues it on the following frames
+    this._octreeBuild = null;
+
+    // Half float radiance needs to be renderable, otherwise it is packed into RGBA8 with a shared exponent.
+    // Packed voxels can neither be blended nor filtered.
+    const hdr = Boolean(gl.getExtension('EXT_color_buffer_float'));
+    this.hdr = hdr;
+    this.voxelFormat = hdr ? gl.RGBA16F : gl.RGBA8;
+    this.voxelFilter = hdr ? gl.LINEAR_MIPMAP_LINEAR : gl.NEAREST_MIPMAP_NEAREST;
 
     this.screenSpaceImageShader = new ScreenSpaceImageShader();
-    this.voxelDebugShader = new VoxelDebugShader;
-    this.voxelizationShader = new VoxelizationShader();
-    this.coneTracerShader = new ConeTracerShader();
+    this.voxelDebugShader = new VoxelDebugShader(hdr);
+    this.voxelizationShader = new VoxelizationShader(/*dominantAxis=*/false, hdr);
+    this.dominantAxisVoxelizationShader = new VoxelizationShader(/*dominantAxis=*/true, hdr);
+    this.coneTracerShader = new ConeTracerShader(/*cascades=*/0, /*anisotropic=*/false, hdr);
+    this.clipmapConeTracerShader = new ConeTracerShader(/*cascades=*/VoxelConeTracer.MAX_CASCADES, /*anisotropic=*/false, hdr);
+    this.anisotropicConeTracerShader = new ConeTracerShader(/*cascades=*/0, /*anisotropic=*/true, hdr);
+    this.octreeConeTracerShader = new ConeTracerShader(/*cascades=*/0, /*anisotropic=*/false, hdr, /*octree=*/true);
+    this.deferredShaders = null;
+    this.anisotropicMipShader = new AnisotropicMipShader(hdr);
+    this.voxelMipShader = new VoxelMipShader(hdr);
     this.worldPositionShader = new WorldPositionShader();
+    this.voxelMergeShader = new VoxelMergeShader(/*atlas=*/false, hdr);
+    this.atlasMergeShader = new VoxelMergeShader(/*atlas=*/true, hdr);
+    this.attributeMergeShader = new VoxelMergeShader(/*atlas=*/false, hdr, /*attributes=*/true);
+    this.attributeAtlasMergeShader = new VoxelMergeShader(/*atlas=*/true, hdr, /*attributes=*/true);
+    this.voxelBounceShader = new VoxelBounceShader(hdr);
+    this.voxelEditShader = new VoxelEditShader(hdr);
 
     this.quad = new Quad();
     this.backFBO = new FrameBufferObject(gl.canvas.width, gl.canvas.height);
 
+    // TODO: Move to FBO class
+    this.voxelFb = gl.createFramebuffer();
 
-    // TODO: Move boilerplate code to texture class
-    this.xTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.xTexture);
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    this.voxelizationMode = VoxelConeTracer.SLICE_VOXELIZATION;
+    // Slice atlases for the dominant axis path, created on first use
+    this.xAtlas = null;
+    this.yAtlas = null;
+    this.zAtlas = null;
+
+    // Dynamic voxelization
+    this.updateInterval = 1; // frames between checking the scene for changes
+    this.timeBudget = 4.0; // ms spent voxelizing per frame
+    this._frameCount = 0;
+    this._pendingPass = null;
+    this._sceneState = null;
+
+    // Clipmap slabs waiting for voxelizeDirtyRegions
+    this._dirtyRegions = [];
+
+    // Directional volumes replace the mips of voxelTexture when tracing, cascades stay isotropic.
+    // Takes effect at the next voxelization.
+    this.anisotropic = false;
+    this.anisotropicTextures = null;
+
+    // Multi-bounce, the voxels of setVolume's volume gather light from each other this many times.
+    // Needs the albedo and normal of the voxels, their staging textures are [albedo, normal] per axis.
+    // keepAttributes stores them without bouncing. Takes effect at the next voxelization.
+    this.bounces = 0;
+    this.bounceIntensity = 1.0;
+    this.keepAttributes = false;
+    this.attributeTextures = null;
+    this.attributeAtlases = null;
+
+    if (bounds) {
+      this.setVolume(bounds, resolution);
+    }
+  }
 
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  get hasVolume() { return Boolean(this.voxelTexture || this.cascades || this.octree); }
+  // Averaged surface albedo and normal per voxel, RGBA in voxelFormat with the normal mapped to [0, 1].
+  // Null unless bounces or keepAttributes were set at the last voxelization.
+  get albedoTexture() { return this.volume && this.volume.albedoTexture || null; }
+  get normalTexture() { return this.volume && this.volume.normalTexture || null; }
 
-    gl.texImage3D(gl.TEXTURE_2D_ARRAY, 0, gl.RGBA8, this.voxelTextureSize, this.voxelTextureSize, this.voxelTextureSize, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+  // (Re)creates the volume to cover bounds, an axis aligned { min, max } box in world space.
+  // The box is grown around its center to a whole number of voxels on each axis.
+  setVolume(bounds, resolution = this.resolution) {
+    const gl = glContext();
 
-    this.zTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.zTexture);
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    const extent = vec3.create();
+    vec3.subtract(extent, bounds.max, bounds.min);
+    const maxExtent = Math.max(extent[0], extent[1], extent[2]);
+    if (!(maxExtent > 0)) {
+      console.error("Voxel volume needs a non-empty box", bounds);
+      return;
+    }
 
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    this._deleteVolume();
 
-    gl.texImage3D(gl.TEXTURE_2D_ARRAY, 0, gl.RGBA8, this.voxelTextureSize, this.voxelTextureSize, this.voxelTextureSize, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    // Shared with SoftwareVoxelizer
+    const grid = voxelGrid(bounds, resolution);
+    this.resolution = resolution;
+    this.voxelWorldSize = grid.voxelSize;
+    this.voxelWorldSizeInv = 1.0 / this.voxelWorldSize;
+    this.dimensions = grid.dimensions;
+
+    this.volumeCenter = vec3.create();
+    vec3.lerp(this.volumeCenter, bounds.min, bounds.max, 0.5);
+    this.volumeSize = vec3.fromValues(...this.dimensions.map(d => d * this.voxelWorldSize));
+    this.volumeSizeInv = vec3.create();
+    vec3.inverse(this.volumeSizeInv, this.volumeSize);
+    this.volumeMin = vec3.fromValues(...grid.volumeMin);
+    this.volumeMax = vec3.create();
+    vec3.add(this.volumeMax, this.volumeMin, this.volumeSize);
+    this.bounds = { min: this.volumeMin, max: this.volumeMax };
+
+    if (this.storage === VoxelConeTracer.OCTREE_STORAGE) {
+      this._createOctree();
+    } else {
+      // Create 3d texture
+      const [w, h, d] = this.dimensions;
+      this.voxelTexture = createVolumeTexture(gl.TEXTURE_3D, w, h, d, this.voxelFormat, this.voxelFilter);
+
+      // The texture holds the voxel grid starting at volumeMin, see _createRegion
+      this.volume = {
+        texture: this.voxelTexture,
+        dimensions: this.dimensions,
+        voxelSize: this.voxelWorldSize,
+        gridOrigin: this.volumeMin,
+        origin: [0, 0, 0],
+      };
+
+      this._createStagingTextures(this.dimensions);
+    }
+    this.cubeMesh = this._createBoxMesh(this.volumeSize);
 
-    this.yTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.yTexture);
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    this._pendingPass = null;
+    this._sceneState = null;
+  }
 
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  // Replaces the volume with levels nested cascades of resolution³ voxels that followCamera keeps centred
+  // on the camera. The finest covers extent, each following one twice the extent of the previous.
+  setClipmap(levels, extent, resolution = this.resolution) {
+    const gl = glContext();
 
-    gl.texImage3D(gl.TEXTURE_2D_ARRAY, 0, gl.RGBA8, this.voxelTextureSize, this.voxelTextureSize, this.voxelTextureSize, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    if (levels < 1 || levels > VoxelConeTracer.MAX_CASCADES) {
+      console.error("Clipmaps support 1 to " + VoxelConeTracer.MAX_CASCADES + " cascades, got " + levels);
+      return;
+    }
 
-    // Create 3d texture
-    this.voxelTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_3D, this.voxelTexture);
-    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
-    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    this._deleteVolume();
+
+    this.resolution = resolution;
+    this.clipmapExtent = extent;
+    this.voxelWorldSize = extent / resolution;
+    this.voxelWorldSizeInv = 1.0 / this.voxelWorldSize;
+    this.dimensions = [resolution, resolution, resolution];
+
+    this.cascades = [];
+    for (let i = 0; i < levels; i++) {
+      this.cascades.push({
+        // Toroidal addressing, scrolling only overwrites the voxels that left the cascade
+        texture: createVolumeTexture(gl.TEXTURE_3D, resolution, resolution, resolution, this.voxelFormat, this.voxelFilter, gl.REPEAT),
+        dimensions: this.dimensions,
+        voxelSize: this.voxelWorldSize * Math.pow(2, i),
+        gridOrigin: vec3.create(),
+        origin: null, // set by followCamera
+      });
+    }
 
-    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    this._createStagingTextures(this.dimensions);
+    this.cubeMesh = this._createBoxMesh(vec3.fromValues(extent, extent, extent));
 
-    gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGBA8, this.voxelTextureSize, this.voxelTextureSize, this.voxelTextureSize, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    this._dirtyRegions = [];
+    this._pendingPass = null;
+    this._sceneState = null;
+  }
 
-    // TODO: Move to FBO class
-    this.voxelFb = gl.createFramebuffer();
+  // Scrolls the clipmap cascades along with the camera. Slabs that entered a cascade are queued for
+  // voxelizeDirtyRegions. Returns true when the outermost cascade, and with it bounds, moved.
+  followCamera(camera) {
+    if (!this.cascades) {
+      return false;
+    }
+
+    const snap = VoxelConeTracer.CLIPMAP_SNAP;
+    let moved = false;
+    this.cascades.forEach((cascade, level) => {
+      const origin = [0, 1, 2].map(i =>
+        Math.floor(camera.position[i] / (cascade.voxelSize * snap)) * snap - Math.floor(cascade.dimensions[i] / 2));
+
+      if (cascade.origin && origin.every((o, i) => o === cascade.origin[i])) {
+        return;
+      }
+
+      if (cascade.origin) {
+        this._dirtyRegions.push(...this._scrolledRegions(cascade, cascade.origin, origin));
+      } else {
+        this._dirtyRegions.push(this._createRegion(cascade, origin, cascade.dimensions));
+      }
+      cascade.origin = origin;
+      moved = moved || level === this.cascades.length - 1;
+    });
+
+    if (moved) {
+      const outer = this.cascades[this.cascades.length - 1];
+      this.bounds = {
+        min: vec3.fromValues(...outer.origin.map(o => o * outer.voxelSize)),
+        max: vec3.fromValues(...outer.origin.map((o, i) => (o + outer.dimensions[i]) * outer.voxelSize)),
+      };
+    }
+    return moved;
+  }
+
+  // Voxelizes the slabs queued by followCamera, all in this frame so the cascades never show stale voxels
+  voxelizeDirtyRegions(scene, camera, depthTexture, sceneUBO, materialUBO, modelMatricesUBO, pointLightUBO) {
+    if (this._dirtyRegions.length === 0) {
+      return false;
+    }
+
+    // The staging textures are shared, a dynamic update in flight has to redo its current region
+    if (this._pendingPass) {
+      this._pendingPass.axis = 0;
+      this._pendingPass.slice = 0;
+    }
+
+    const pass = this._createPass(this._dirtyRegions);
+    this._dirtyRegions = [];
+    this._runPass(pass, Infinity, scene, camera, depthTexture, sceneUBO, materialUBO, modelMatricesUBO, pointLightUBO);
+    return true;
+  }
+
+  // The octree is a power of two cube from volumeMin that covers the volume. It is voxelized in chunks,
+  // each merged into a small volume and read back from there.
+  _createOctree() {
+    const gl = glContext();
+    const brickSize = SparseVoxelOctree.BRICK_SIZE;
+    const resolution = Math.max(brickSize, Math.pow(2, Math.ceil(Math.log2(Math.max(...this.dimensions)))));
+    this.octree = new SparseVoxelOctree(resolution, brickSize);
+    this.octreeSizeInv = vec3.create();
+    const size = resolution * this.voxelWorldSize;
+    vec3.set(this.octreeSizeInv, 1.0 / size, 1.0 / size, 1.0 / size);
+
+    const chunkSize = Math.min(VoxelConeTracer.OCTREE_CHUNK_SIZE, resolution);
+    this._chunkVolume = {
+      texture: createVolumeTexture(gl.TEXTURE_3D, chunkSize, chunkSize, chunkSize, this.voxelFormat, gl.NEAREST),
+      dimensions: [chunkSize, chunkSize, chunkSize],
+      voxelSize: this.voxelWorldSize,
+      gridOrigin: this.volumeMin,
+      origin: [0, 0, 0], // moved to every chunk by voxelizeOctreeChunks
+    };
+    this._createStagingTextures(this._chunkVolume.dimensions);
+
+    // Chunks are copied into these while the next ones are voxelized, one buffer per chunk in flight
+    const bytes = Math.pow(chunkSize, 3) * 4 * (this.hdr ? 4 : 1);
+    this._readbackBuffers = [];
+    for (let i = 0; i < VoxelConeTracer.OCTREE_READBACKS; i++) {
+      const buffer = gl.createBuffer();
+      gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+      gl.bufferData(gl.PIXEL_PACK_BUFFER, bytes, gl.STREAM_READ);
+      this._readbackBuffers.push(buffer);
+    }
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+
+    // Cones see an empty octree until the first build is done
+    this.octree.build();
+  }
+
+  _deleteVolume() {
+    const gl = glContext();
+    const textures = [this.xTexture, this.yTexture, this.zTexture, this.voxelTexture, this.xAtlas, this.yAtlas, this.zAtlas];
+    if (this.volume && this.volume.albedoTexture) {
+      textures.push(this.volume.directTexture, this.volume.albedoTexture, this.volume.normalTexture, this.volume.bounceTexture);
+    }
+    [this.attributeTextures, this.attributeAtlases].forEach(staging => {
+      if (staging) {
+        staging.forEach(axisTextures => textures.push(...axisTextures));
+      }
+    });
+    if (this.cascades) {
+      textures.push(...this.cascades.map(cascade => cascade.texture));
+    }
+    if (this.anisotropicTextures) {
+      textures.push(...this.anisotropicTextures);
+    }
+    if (this.octree) {
+      this._cancelOctreeBuild();
+      this.octree.delete();
+      textures.push(this._chunkVolume.texture);
+      this._readbackBuffers.forEach(buffer => gl.deleteBuffer(buffer));
+    }
+
+    textures.forEach(texture => {
+      if (texture) {
+        gl.deleteTexture(texture);
+      }
+    });
+    this.voxelTexture = null;
+    this.volume = null;
+    this.cascades = null;
+    this.octree = null;
+    this._chunkVolume = null;
+    this._readbackBuffers = null;
+    this.anisotropicTextures = null;
+    this.attributeTextures = null;
+    this.attributeAtlases = null;
+    this.xAtlas = this.yAtlas = this.zAtlas = null;
+  }
+
+  // Slices of the x, y and z projections, see _sliceViewProjection for their orientation.
+  // Every region is voxelized into these before being merged, so they fit the largest one.
+  _createStagingTextures([w, h, d]) {
+    const gl = glContext();
+    this._stagingDimensions = [w, h, d];
+    this.xTexture = createVolumeTexture(gl.TEXTURE_2D_ARRAY, d, h, w, this.voxelFormat, gl.NEAREST);
+    this.yTexture = createVolumeTexture(gl.TEXTURE_2D_ARRAY, w, d, h, this.voxelFormat, gl.NEAREST);
+    this.zTexture = createVolumeTexture(gl.TEXTURE_2D_ARRAY, w, h, d, this.voxelFormat, gl.NEAREST);
+  }
+
+  // Direct light, albedo and normal of the volume and their staging textures, plus a second radiance volume
+  // for the bounces to ping-pong with
+  _createAttributeTextures() {
+    const gl = glContext();
+    const [w, h, d] = this.dimensions;
+    const createStaging = (width, height, depth) => [0, 1].map(() =>
+      createVolumeTexture(gl.TEXTURE_2D_ARRAY, width, height, depth, this.voxelFormat, gl.NEAREST));
+    this.attributeTextures = [createStaging(d, h, w), createStaging(w, d, h), createStaging(w, h, d)];
+
+    this.volume.directTexture = createVolumeTexture(gl.TEXTURE_3D, w, h, d, this.voxelFormat, gl.NEAREST);
+    this.volume.albedoTexture = createVolumeTexture(gl.TEXTURE_3D, w, h, d, this.voxelFormat, gl.NEAREST);
+    this.volume.normalTexture = createVolumeTexture(gl.TEXTURE_3D, w, h, d, this.voxelFormat, gl.NEAREST);
+    this.volume.bounceTexture = createVolumeTexture(gl.TEXTURE_3D, w, h, d, this.voxelFormat, this.voxelFilter);
+  }
+
+  _wantsAttributes() {
+    return this.bounces > 0 || this.keepAttributes;
+  }
+
+  _writesAttributes(volume) {
+    return this._wantsAttributes() && Boolean(volume.albedoTexture);
+  }
+
+  // Back faces of the volume are the ray end points in renderVoxelDebug, the shader moves it in place
+  _createBoxMesh(size) {
+    const cube = new Cube(0.5 * size[0], 0.5 * size[1], 0.5 * size[2]);
+    return new Mesh(cube.geometry, cube.indices);
   }
 
   renderVoxelDebug(scene, camera, sceneUBO) {
+    // There is no volume texture to ray march
+    if (this.octree) {
+      return;
+    }
+
     const gl = glContext();
     this.worldPositionShader.activate();
     const program = this.worldPositionShader.program;
 
+    // The clipmap shows its finest cascade, which wraps around so it is sampled in world space
+    const cascade = this.cascades ? this.cascades[0] : null;
+    let texture = this.voxelTexture;
+    if (scene.gui.voxelDebugVolume === VoxelConeTracer.ALBEDO_VOLUME && this.albedoTexture) {
+      texture = this.albedoTexture;
+    } else if (scene.gui.voxelDebugVolume === VoxelConeTracer.NORMAL_VOLUME && this.normalTexture) {
+      texture = this.normalTexture;
+    }
+    let volumeMin = this.volumeMin;
+    let volumeSizeInv = this.volumeSizeInv;
+    let center = this.volumeCenter;
+    if (cascade) {
+      const extentInv = 1.0 / this.clipmapExtent;
+      texture = cascade.texture;
+      volumeMin = vec3.create();
+      volumeSizeInv = vec3.fromValues(extentInv, extentInv, extentInv);
+      center = vec3.fromValues(...cascade.origin.map((o, i) => (o + 0.5 * cascade.dimensions[i]) * cascade.voxelSize));
+    }
+
     gl.disable(gl.CULL_FACE);
     gl.enable(gl.DEPTH_TEST);
 
@@ -101,6 +444,7 @@ class VoxelConeTracer {
     this.backFBO.bind();
 
     gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'sceneBuffer'), sceneUBO.location);
+    gl.uniform3fv(gl.getUniformLocation(program, 'offset'), center);
     // Render to FBO
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
     this.cubeMesh.draw();
@@ -111,11 +455,12 @@ class VoxelConeTracer {
     // Set uniforms
     gl.uniform1f(gl.getUniformLocation(this.voxelDebugShader.program, 'mipmapLevel'), scene.gui.voxelMipmap);
     gl.uniform1f(gl.getUniformLocation(this.voxelDebugShader.program, 'stepLength'), scene.gui.voxelDebugStepSize);
-    gl.uniform1f(gl.getUniformLocation(this.voxelDebugShader.program, 'sceneScaleInv'), this.sceneScaleInv);
+    gl.uniform3fv(gl.getUniformLocation(this.voxelDebugShader.program, 'volumeMin'), volumeMin);
+    gl.uniform3fv(gl.getUniformLocation(this.voxelDebugShader.program, 'volumeSizeInv'), volumeSizeInv);
 
     gl.uniform3fv(gl.getUniformLocation(this.voxelDebugShader.program, 'cameraPosition'), camera.position);
     gl.activeTexture(gl.TEXTURE0 + 0);
-    gl.bindTexture(gl.TEXTURE_3D, this.voxelTexture);
+    gl.bindTexture(gl.TEXTURE_3D, texture);
     gl.uniform1i(gl.getUniformLocation(this.voxelDebugShader.program, 'texture3D'), 0);
     this.backFBO.transitionToShaderResource(this.voxelDebugShader.program);
     this.quad.draw();
@@ -129,280 +474,1228 @@ class VoxelConeTracer {
     gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
   }
 
-  voxelize(scene, camera, depthTexture, sceneUBO, materialUBO, modelMatricesUBO) {
+  voxelize(scene, camera, depthTexture, sceneUBO, materialUBO, modelMatricesUBO, pointLightUBO) {
     var t0 = performance.now();
+
+    // A full voxelization supersedes any dynamic update in flight
+    this._pendingPass = null;
+    this._dirtyRegions = [];
+
+    if (this.octree) {
+      this._startOctreeBuild();
+      this.voxelizeOctreeChunks(scene, camera, depthTexture, sceneUBO, materialUBO, modelMatricesUBO, pointLightUBO);
+    } else {
+      const pass = this._createPass(this._fullRegions());
+      this._runPass(pass, Infinity, scene, camera, depthTexture, sceneUBO, materialUBO, modelMatricesUBO, pointLightUBO);
+    }
+    this._sceneState = this._captureSceneState(scene);
+
+    const t1 = performance.now();
+    console.log("Voxelization took " + (t1 - t0) + " milliseconds.")
+  }
+
+  // Dynamic mode, called every frame. Re-voxelizes the scene when objects or lights have moved,
+  // rendering as many slices as fit in the time budget and continuing on the next frame.
+  // The axis textures act as a back buffer, a volume is only replaced once its region is done.
+  update(scene, camera, depthTexture, sceneUBO, materialUBO, modelMatricesUBO, pointLightUBO) {
+    this._frameCount++;
+
+    // The octree is only rebuilt as a whole by voxelize, Gui turns dynamic mode off with it
+    if (this.octree) {
+      return false;
+    }
+
+    if (!this._pendingPass) {
+      if (this._frameCount % Math.max(1, Math.round(this.updateInterval)) !== 0) {
+        return false;
+      }
+
+      const sceneState = this._captureSceneState(scene);
+      if (!this._sceneStateChanged(sceneState)) {
+        return false;
+      }
+
+      this._sceneState = sceneState;
+      this._pendingPass = this._createPass(this._fullRegions());
+    }
+
+    const deadline = performance.now() + this.timeBudget;
+    const done = this._runPass(this._pendingPass, deadline, scene, camera, depthTexture, sceneUBO, materialUBO, modelMatricesUBO, pointLightUBO);
+    if (done) {
+      this._pendingPass = null;
+    }
+    return done;
+  }
+
+  // Voxelizes the octree a chunk at a time, with as many chunks as fit in timeBudget per frame. The chunks are
+  // read back without waiting for the GPU and inserted a few frames later, once their copy has arrived.
+  // The new octree replaces the old one when all chunks are in, returns true on that frame.
+  voxelizeOctreeChunks(scene, camera, depthTexture, sceneUBO, materialUBO, modelMatricesUBO, pointLightUBO) {
+    const build = this._octreeBuild;
+    if (!build) {
+      return false;
+    }
+
     const gl = glContext();
-    gl.viewport(0, 0, this.voxelTextureSize, this.voxelTextureSize);
-    gl.disable(gl.CULL_FACE);
-    gl.enable(gl.DEPTH_TEST);
+    const chunk = this._chunkVolume;
+    const deadline = performance.now() + this.timeBudget;
+    build.frames++;
+
+    // In the order they were started, a fence is signaled after all earlier ones
+    while (build.readbacks.length && gl.getSyncParameter(build.readbacks[0].sync, gl.SYNC_STATUS) === gl.SIGNALED &&
+        performance.now() < deadline) {
+      const readback = build.readbacks.shift();
+      gl.deleteSync(readback.sync);
+      this.octree.insertChunk(readback.origin, chunk.dimensions, this._finishReadback(readback.buffer, chunk.dimensions));
+    }
+
+    while (build.next < build.chunks.length && build.readbacks.length < this._readbackBuffers.length &&
+        performance.now() < deadline) {
+      chunk.origin = build.chunks[build.next++];
+      const pass = this._createPass([this._createRegion(chunk, chunk.origin, chunk.dimensions)],
+        VoxelConeTracer.DOMINANT_AXIS_VOXELIZATION);
+      this._runPass(pass, Infinity, scene, camera, depthTexture, sceneUBO, materialUBO, modelMatricesUBO, pointLightUBO);
 
+      const buffer = this._readbackBuffers.find(buffer => !build.readbacks.some(readback => readback.buffer === buffer));
+      build.readbacks.push({ origin: chunk.origin, buffer, sync: this._startReadback(chunk, buffer) });
+    }
+
+    if (build.next < build.chunks.length || build.readbacks.length) {
+      return false;
+    }
+
+    this._octreeBuild = null;
+    this.octree.build();
+    console.log("Voxel octree has " + this.octree.nodeCount + " nodes and " + this.octree.brickCount + " bricks, " +
+      (this.octree.memory / (1024 * 1024)).toFixed(1) + " MB, built in " + build.frames + " frames over " +
+      (performance.now() - build.start).toFixed(0) + " milliseconds.");
+    return true;
+  }
+
+  _startOctreeBuild() {
+    this._cancelOctreeBuild();
+    this.octree.clear();
+
+    const chunkSize = this._chunkVolume.dimensions[0];
+    const counts = this.dimensions.map(d => Math.ceil(d / chunkSize));
+    const chunks = [];
+    for (let z = 0; z < counts[2]; z++) {
+      for (let y = 0; y < counts[1]; y++) {
+        for (let x = 0; x < counts[0]; x++) {
+          chunks.push([x * chunkSize, y * chunkSize, z * chunkSize]);
+        }
+      }
+    }
+    this._octreeBuild = { chunks, next: 0, readbacks: [], frames: 0, start: performance.now() };
+  }
+
+  // Readbacks in flight are dropped, their buffers get overwritten by the next build
+  _cancelOctreeBuild() {
+    if (!this._octreeBuild) {
+      return;
+    }
+
+    const gl = glContext();
+    this._octreeBuild.readbacks.forEach(readback => gl.deleteSync(readback.sync));
+    this._octreeBuild = null;
+  }
+
+  // Queues a copy of level 0 of volume into buffer, a PIXEL_PACK_BUFFER, and returns a fence that is signaled
+  // once the copy is done. Until then reading the buffer would stall.
+  _startReadback(volume, buffer) {
+    const gl = glContext();
+    const [w, h, d] = volume.dimensions;
+    const layerBytes = w * h * 4 * (this.hdr ? 4 : 1);
+
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
     gl.bindFramebuffer(gl.FRAMEBUFFER, this.voxelFb);
+    for (let z = 0; z < d; z++) {
+      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, volume.texture, 0, z);
+      gl.readPixels(0, 0, w, h, gl.RGBA, this.hdr ? gl.FLOAT : gl.UNSIGNED_BYTE, z * layerBytes);
+    }
+    gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, null, 0, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
 
-    // TODO: Need depth test?
-    // this.renderBuffer = gl.createRenderbuffer();
-    // gl.bindRenderbuffer(gl.RENDERBUFFER, this.renderBuffer);
-    // gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, 64, 64);
-    // gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.renderBuffer);
+    const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    // Otherwise the fence might wait for the next frame to reach the GPU
+    gl.flush();
+    return sync;
+  }
 
-    // if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) != gl.FRAMEBUFFER_COMPLETE) {
-    //   console.error("FBO is not complete asdasd" + FrameBufferObject.checkFrameBufferStatus(gl.checkFramebufferStatus(gl.FRAMEBUFFER)));
-    // }
+  // A volume of the given dimensions copied into buffer by _startReadback, as decoded RGBA floats with
+  // x running fastest
+  _finishReadback(buffer, [w, h, d]) {
+    const gl = glContext();
+    const data = this.hdr ? new Float32Array(w * h * d * 4) : new Uint8Array(w * h * d * 4);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+    gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, data);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+    if (this.hdr) {
+      return data;
+    }
 
-    gl.clearColor(0.0, 0.0, 0.0, 0.0);
+    const floats = new Float32Array(data.length);
+    decodeVoxels(data, floats);
+    return floats;
+  }
 
-    this.voxelizationShader.activate();
-    const program = this.voxelizationShader.program;
-        // Upload shadow map
-    gl.activeTexture(gl.TEXTURE0 + 4);
-    gl.bindTexture(gl.TEXTURE_2D, depthTexture);
-    gl.uniform1i(gl.getUniformLocation(program, 'shadowMap'), 4);
+  // A mip level of a volume texture as stored, RGBA floats for hdr and packed bytes otherwise
+  _readLevel(texture, level, [w, h, d]) {
+    const gl = glContext();
+    const data = this.hdr ? new Float32Array(w * h * d * 4) : new Uint8Array(w * h * d * 4);
 
-    //gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'pointLightsBuffer'), this.pointLightUBO.location);
-    gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'sceneBuffer'), sceneUBO.location);  
-
-    gl.enable(gl.BLEND);
-    gl.blendFunc(gl.ONE, gl.ONE);
-
-    const sceneScale = this.sceneScale;
-    // Render Y
-    gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.yTexture);
-    for (let i = 0; i < this.voxelTextureSize; i++ ) {
-      const orthoCamera = new OrthographicCamera(
-        -sceneScale,
-        sceneScale,
-        -sceneScale,
-        sceneScale,
-        sceneScale - (i / this.voxelTextureSize) * sceneScale * 2, // near
-        sceneScale - ((i + 1) / this.voxelTextureSize) * sceneScale * 2); // far
-
-      orthoCamera.up = vec3.fromValues(0.0, 0.0, 1.0);
-      orthoCamera.lookAt(vec3.fromValues(0.0, -1.0, 0.0));
-      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, this.yTexture, 0, i);
-
-      if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) != gl.FRAMEBUFFER_COMPLETE) {
-        console.error("FBO is not complete" + FrameBufferObject.checkFrameBufferStatus(gl.checkFramebufferStatus(gl.FRAMEBUFFER)));
-      }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.voxelFb);
+    for (let z = 0; z < d; z++) {
+      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, texture, level, z);
+      gl.readPixels(0, 0, w, h, gl.RGBA, this.hdr ? gl.FLOAT : gl.UNSIGNED_BYTE, data.subarray(z * w * h * 4, (z + 1) * w * h * 4));
+    }
+    gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, null, 0, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return data;
+  }
 
-      const viewProjection = mat4.create();
-      mat4.multiply(viewProjection, orthoCamera.projectionMatrix, orthoCamera.viewMatrix);
-      gl.uniformMatrix4fv(gl.getUniformLocation(program, 'viewProjection'), false, viewProjection);
+  // The radiance of setVolume's volume as an ArrayBuffer in the format of volumefile.js, to be given to
+  // loadVolume instead of voxelizing. Without allMips only level 0 is stored and loadVolume rebuilds the mips.
+  saveVolume(allMips = true) {
+    if (!this.voxelTexture) {
+      console.error("Only a dense volume set with setVolume can be saved");
+      return null;
+    }
 
-      gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'sceneBuffer'), sceneUBO.location);
-      //gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'pointLightsBuffer'), this.pointLightUBO.location);
-      // Render scene
-      scene.objects.forEach(object => {
-        this._renderObject(object, scene, camera, program, materialUBO, modelMatricesUBO);
-      });
+    const levelCount = allMips ? mipLevels(this.dimensions) : 1;
+    const levels = levelDimensions(this.dimensions, levelCount).map((dimensions, level) => {
+      const data = this._readLevel(this.voxelTexture, level, dimensions);
+      return this.hdr ? Uint16Array.from(data, toHalf) : data;
+    });
+
+    return writeVolumeFile({
+      format: this.hdr ? FORMAT_HALF : FORMAT_PACKED,
+      dimensions: this.dimensions,
+      resolution: this.resolution,
+      voxelSize: this.voxelWorldSize,
+      volumeMin: this.volumeMin,
+      levels,
+    });
+  }
+
+  // Occupancy, raycasts and overlap tests against the current voxels of setVolume's volume, see VoxelQuery
+  createVoxelQuery() {
+    if (!this.voxelTexture) {
+      console.error("Only a dense volume set with setVolume can be queried");
+      return null;
     }
 
-    // Render Z
-    gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.zTexture);
-    for (let i = 0; i < this.voxelTextureSize; i++ ) {
-      const orthoCamera = new OrthographicCamera(
-        -sceneScale,
-        sceneScale,
-        -sceneScale,
-        sceneScale,
-        sceneScale - (i / this.voxelTextureSize) * sceneScale * 2, // near
-        sceneScale - ((i + 1) / this.voxelTextureSize) * sceneScale * 2); // far
+    const grid = { dimensions: this.dimensions, voxelSize: this.voxelWorldSize, volumeMin: this.volumeMin };
+    return new VoxelQuery(grid, this._readLevel(this.voxelTexture, 0, this.dimensions), this.hdr);
+  }
+
+  // Hand edits of setVolume's volume, shape is a { min, max } box or a { center, radius } sphere in world space
+  // and covers the voxels whose centers are inside. target is RADIANCE_VOLUME, or ALBEDO_VOLUME when
+  // keepAttributes or bounces kept the albedo. Radiance mips are rebuilt around the edit only.
+  // The next voxelization, a dynamic update included, replaces the edits.
+  // fillVoxels sets the voxels to color, rgb and opacity.
+  fillVoxels(shape, color, target = VoxelConeTracer.RADIANCE_VOLUME) {
+    return this._editVoxels(shape, VoxelConeTracer.EDIT_FILL, color, target);
+  }
+
+  // Empties the voxels, e.g. to stop light leaking through a wall that is too thin
+  clearVoxels(shape, target = VoxelConeTracer.RADIANCE_VOLUME) {
+    return this._editVoxels(shape, VoxelConeTracer.EDIT_CLEAR, [0, 0, 0, 0], target);
+  }
 
-      orthoCamera.lookAt(vec3.fromValues(0.0, 0.0, -1.0));
-      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, this.zTexture, 0, i);
+  // Blends the rgb of the filled voxels towards color by strength, their opacity stays
+  paintVoxels(shape, color, strength = 1.0, target = VoxelConeTracer.RADIANCE_VOLUME) {
+    return this._editVoxels(shape, VoxelConeTracer.EDIT_PAINT, [color[0], color[1], color[2], strength], target);
+  }
+
+  // Writes a model of VoxLoader into the voxels at modelMatrix, which takes the voxels of the model, one unit each,
+  // to world space. The voxels of the volume whose centers fall in a filled voxel of the model get its palette
+  // color, rgb and opacity, the others stay. Model voxels much smaller than the volume's may be missed.
+  insertVoxelModel(model, palette, modelMatrix = mat4.create(), target = VoxelConeTracer.RADIANCE_VOLUME) {
+    const matrix = mat4.create();
+    mat4.multiply(matrix, modelMatrix, model.matrix);
+    const inverse = mat4.create();
+    if (!mat4.invert(inverse, matrix)) {
+      console.error("Can't insert a voxel model with a singular matrix");
+      return false;
+    }
 
-      if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) != gl.FRAMEBUFFER_COMPLETE) {
-        console.error("FBO is not complete" + FrameBufferObject.checkFrameBufferStatus(gl.checkFramebufferStatus(gl.FRAMEBUFFER)));
+    // World bounds of the model
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let corner = 0; corner < 8; corner++) {
+      const p = vec3.fromValues(corner & 1 ? model.size[0] : 0, corner & 2 ? model.size[1] : 0, corner & 4 ? model.size[2] : 0);
+      vec3.transformMat4(p, p, matrix);
+      for (let i = 0; i < 3; i++) {
+        min[i] = Math.min(min[i], p[i]);
+        max[i] = Math.max(max[i], p[i]);
       }
+    }
+
+    const [sx, sy, sz] = model.size;
+    const voxels = (lo, [w, h, d]) => {
+      const data = new Float32Array(w * h * d * 4);
+      const p = vec3.create();
+      for (let z = 0; z < d; z++) {
+        for (let y = 0; y < h; y++) {
+          for (let x = 0; x < w; x++) {
+            vec3.set(p, x + lo[0] + 0.5, y + lo[1] + 0.5, z + lo[2] + 0.5);
+            vec3.scaleAndAdd(p, this.volumeMin, p, this.voxelWorldSize);
+            vec3.transformMat4(p, p, inverse);
+            const [mx, my, mz] = [Math.floor(p[0]), Math.floor(p[1]), Math.floor(p[2])];
+            if (mx < 0 || my < 0 || mz < 0 || mx >= sx || my >= sy || mz >= sz) {
+              continue;
+            }
+            const index = model.indices[mx + sx * (my + sy * mz)];
+            if (index !== 0) {
+              for (let c = 0; c < 4; c++) {
+                data[4 * (x + w * (y + h * z)) + c] = palette[4 * index + c] / 255;
+              }
+            }
+          }
+        }
+      }
+      return data;
+    };
 
-      const viewProjection = mat4.create();
-      mat4.multiply(viewProjection, orthoCamera.projectionMatrix, orthoCamera.viewMatrix);
-      gl.uniformMatrix4fv(gl.getUniformLocation(program, 'viewProjection'), false, viewProjection);
+    return this._editVoxels({ min, max }, VoxelConeTracer.EDIT_PASTE, [0, 0, 0, 0], target, voxels);
+  }
 
-      // Set uniforms
-      gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'sceneBuffer'), sceneUBO.location);
-      //gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'pointLightsBuffer'), this.pointLightUBO.location);
-      // Render scene
-      scene.objects.forEach(object => {
-        this._renderObject(object, scene, camera, program, materialUBO, modelMatricesUBO);
-      });
+  // voxels(lo, size) returns the RGBA floats pasted over the region for EDIT_PASTE
+  _editVoxels(shape, mode, color, target, voxels = null) {
+    const gl = glContext();
+    const texture = target === VoxelConeTracer.ALBEDO_VOLUME ? this.albedoTexture : this.voxelTexture;
+    if (!texture || target === VoxelConeTracer.NORMAL_VOLUME) {
+      console.error("Can't edit the " + target + " volume, only radiance or albedo of setVolume's volume");
+      return false;
     }
 
-    // Render X
-    gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.xTexture);
-    for (let i = 0; i < this.voxelTextureSize; i++ ) {
-      const orthoCamera = new OrthographicCamera(
-        -sceneScale,
-        sceneScale,
-        -sceneScale,
-        sceneScale,
-        sceneScale - (i / this.voxelTextureSize) * sceneScale * 2, // near
-        sceneScale - ((i + 1) / this.voxelTextureSize) * sceneScale * 2); // far
+    // The voxels that may have their center inside the shape
+    const sphere = shape.radius !== undefined;
+    const min = sphere ? shape.center.map(c => c - shape.radius) : shape.min;
+    const max = sphere ? shape.center.map(c => c + shape.radius) : shape.max;
+    const lo = [0, 1, 2].map(i => Math.max(0, Math.floor((min[i] - this.volumeMin[i]) * this.voxelWorldSizeInv)));
+    const hi = [0, 1, 2].map(i => Math.min(this.dimensions[i], Math.ceil((max[i] - this.volumeMin[i]) * this.voxelWorldSizeInv)));
+    const [w, h, d] = [0, 1, 2].map(i => hi[i] - lo[i]);
+    if (w <= 0 || h <= 0 || d <= 0) {
+      return false;
+    }
 
-        orthoCamera.up = vec3.fromValues(0.0, 1.0, 0.0);
-        orthoCamera.lookAt(vec3.fromValues(1.0, 0.0, 0.0));
+    // The shader reads the region from a copy, the volume can't be sampled while it is drawn to
+    const copy = createVolumeTexture(gl.TEXTURE_2D_ARRAY, w, h, d, this.voxelFormat, gl.NEAREST);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.voxelFb);
+    gl.activeTexture(gl.TEXTURE0 + 0);
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, copy);
+    for (let z = 0; z < d; z++) {
+      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, texture, 0, lo[2] + z);
+      gl.copyTexSubImage3D(gl.TEXTURE_2D_ARRAY, 0, 0, 0, z, lo[0], lo[1], w, h);
+    }
 
-      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, this.xTexture, 0, i);
-      if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) != gl.FRAMEBUFFER_COMPLETE) {
-        console.error("FBO is not complete" + FrameBufferObject.checkFrameBufferStatus(gl.checkFramebufferStatus(gl.FRAMEBUFFER)));
+    let pasted = null;
+    if (mode === VoxelConeTracer.EDIT_PASTE) {
+      const data = voxels(lo, [w, h, d]);
+      pasted = createVolumeTexture(gl.TEXTURE_2D_ARRAY, w, h, d, this.voxelFormat, gl.NEAREST);
+      if (this.hdr) {
+        gl.texSubImage3D(gl.TEXTURE_2D_ARRAY, 0, 0, 0, 0, w, h, d, gl.RGBA, gl.FLOAT, data);
+      } else {
+        const bytes = new Uint8Array(data.length);
+        encodeVoxels(data, bytes);
+        gl.texSubImage3D(gl.TEXTURE_2D_ARRAY, 0, 0, 0, 0, w, h, d, gl.RGBA, gl.UNSIGNED_BYTE, bytes);
       }
+    }
+
+    this.voxelEditShader.activate();
+    const program = this.voxelEditShader.program;
+    gl.disable(gl.BLEND);
+    // Creating pasted bound it in place of the copy
+    gl.activeTexture(gl.TEXTURE0 + 0);
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, copy);
+    gl.uniform1i(gl.getUniformLocation(program, 'source'), 0);
+    gl.activeTexture(gl.TEXTURE0 + 1);
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, pasted);
+    gl.uniform1i(gl.getUniformLocation(program, 'pasted'), 1);
+    gl.uniform3iv(gl.getUniformLocation(program, 'regionMin'), lo);
+    gl.uniform3fv(gl.getUniformLocation(program, 'gridOrigin'), this.volumeMin);
+    gl.uniform1f(gl.getUniformLocation(program, 'voxelSize'), this.voxelWorldSize);
+    gl.uniform1i(gl.getUniformLocation(program, 'shape'), sphere ? 1 : 0);
+    gl.uniform3fv(gl.getUniformLocation(program, 'boxMin'), min);
+    gl.uniform3fv(gl.getUniformLocation(program, 'boxMax'), max);
+    gl.uniform3fv(gl.getUniformLocation(program, 'center'), sphere ? shape.center : [0, 0, 0]);
+    gl.uniform1f(gl.getUniformLocation(program, 'radius'), sphere ? shape.radius : 0.0);
+    gl.uniform1i(gl.getUniformLocation(program, 'mode'), mode);
+    gl.uniform4fv(gl.getUniformLocation(program, 'color'), color);
+
+    const layerLocation = gl.getUniformLocation(program, 'layer');
+    gl.viewport(0, 0, this.dimensions[0], this.dimensions[1]);
+    gl.enable(gl.SCISSOR_TEST);
+    gl.scissor(lo[0], lo[1], w, h);
+    for (let z = lo[2]; z < hi[2]; z++) {
+      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, texture, 0, z);
+      gl.uniform1i(layerLocation, z);
+      this.quad.draw();
+    }
+    gl.disable(gl.SCISSOR_TEST);
+    gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, null, 0, 0);
+    gl.deleteTexture(copy);
+    if (pasted) {
+      gl.deleteTexture(pasted);
+    }
 
-      const viewProjection = mat4.create();
-      mat4.multiply(viewProjection, orthoCamera.projectionMatrix, orthoCamera.viewMatrix);
-      gl.uniformMatrix4fv(gl.getUniformLocation(program, 'viewProjection'), false, viewProjection);
+    if (texture === this.voxelTexture) {
+      this._generateMipmaps(this.volume, { min: lo, max: hi });
+      if (this.anisotropic) {
+        this._buildAnisotropicMipmaps();
+      }
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return true;
+  }
 
-      // Set uniforms
-      gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'sceneBuffer'), sceneUBO.location);
-      //gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'pointLightsBuffer'), this.pointLightUBO.location);
+  // Triangle meshes of setVolume's volume, see VoxelMesher. Vertex colors are the albedo when keepAttributes or
+  // bounces kept it at the last voxelization, the radiance otherwise.
+  createVoxelMesher() {
+    if (!this.voxelTexture) {
+      console.error("Only a dense volume set with setVolume can be meshed");
+      return null;
+    }
 
-      // Render scene
-      scene.objects.forEach(object => {
-        this._renderObject(object, scene, camera, program, materialUBO, modelMatricesUBO);
-      });
+    const grid = { dimensions: this.dimensions, voxelSize: this.voxelWorldSize, volumeMin: this.volumeMin };
+    const texture = this.albedoTexture || this.voxelTexture;
+    return new VoxelMesher(grid, this._readLevel(texture, 0, this.dimensions), this.hdr);
+  }
+
+  // Replaces the volume with one saved by saveVolume. Returns false if buffer couldn't be read.
+  loadVolume(buffer) {
+    const gl = glContext();
+    const file = readVolumeFile(buffer);
+    if (!file) {
+      return false;
     }
 
-    let t1 = performance.now();
-    console.log("Voxel rendering took " + (t1 - t0) + " milliseconds.")
+    // setVolume ends up on the same grid for a box of whole voxels
+    const min = vec3.fromValues(...file.volumeMin);
+    const max = vec3.fromValues(...file.dimensions.map((d, i) => file.volumeMin[i] + d * file.voxelSize));
+    this.storage = VoxelConeTracer.DENSE_STORAGE;
+    this.setVolume({ min, max }, file.resolution);
+
+    const levelCount = Math.min(file.levels.length, mipLevels(this.dimensions));
+    gl.bindTexture(gl.TEXTURE_3D, this.voxelTexture);
+    levelDimensions(this.dimensions, levelCount).forEach(([w, h, d], level) => {
+      const data = this._toVoxelFormat(file.levels[level], file.format);
+      gl.texSubImage3D(gl.TEXTURE_3D, level, 0, 0, 0, w, h, d, gl.RGBA, this.hdr ? gl.HALF_FLOAT : gl.UNSIGNED_BYTE, data);
+    });
 
-    const vSize = this.voxelTextureSize;
-    let data = new Uint8Array(this.voxelTextureSize * this.voxelTextureSize * this.voxelTextureSize * 4);
-    // X texture
-    for (let i = 0; i < this.voxelTextureSize; i++ ) {
+    if (levelCount < mipLevels(this.dimensions)) {
+      this._generateMipmaps(this.volume);
+    }
+    if (this.anisotropic) {
+      this._buildAnisotropicMipmaps();
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return true;
+  }
 
-      let slice = new Uint8Array(this.voxelTextureSize * this.voxelTextureSize * 4);
-      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, this.xTexture, 0, i);
-      gl.readPixels(0, 0, this.voxelTextureSize, this.voxelTextureSize, gl.RGBA,  gl.UNSIGNED_BYTE, slice, 0);
+  // Voxels of a volume file converted to what voxelTexture holds, files are shared between devices with
+  // and without hdr
+  _toVoxelFormat(data, format) {
+    const hdrFile = format === FORMAT_HALF;
+    if (hdrFile === this.hdr) {
+      return data;
+    }
 
-      let j = 0;
-      let rowCount = 0;
-      for (let k = 0; k < vSize * vSize; k++) {
-        if (k > 0 && k % vSize === 0)  {
-          rowCount++;
-        }
+    const floats = new Float32Array(data.length);
+    if (hdrFile) {
+      data.forEach((half, i) => { floats[i] = fromHalf(half); });
+      const bytes = new Uint8Array(data.length);
+      encodeVoxels(floats, bytes);
+      return bytes;
+    }
+    decodeVoxels(data, floats);
+    return Uint16Array.from(floats, toHalf);
+  }
+
+  // A box of voxels to (re)voxelize, origin is the index of its first voxel on the grid of volume
+  _createRegion(volume, origin, dimensions) {
+    const min = vec3.create();
+    const size = vec3.create();
+    for (let i = 0; i < 3; i++) {
+      min[i] = volume.gridOrigin[i] + origin[i] * volume.voxelSize;
+      size[i] = dimensions[i] * volume.voxelSize;
+    }
+
+    const sizeInv = vec3.create();
+    vec3.inverse(sizeInv, size);
+    const center = vec3.create();
+    vec3.scaleAndAdd(center, min, size, 0.5);
+
+    return { volume, origin: origin.slice(), dimensions: dimensions.slice(), min, size, sizeInv, center };
+  }
+
+  _fullRegions() {
+    // Cascades that have not been placed yet are voxelized once followCamera places them
+    const volumes = this.cascades ? this.cascades.filter(cascade => cascade.origin) : [this.volume];
+    return volumes.map(volume => this._createRegion(volume, volume.origin, volume.dimensions));
+  }
 
-        const value = 0 + (vSize - 1) + k * vSize * vSize - i - (vSize * vSize * vSize * rowCount - vSize * rowCount);
-        data[ (0 + (vSize - 1) + k * vSize * vSize - i - (vSize * vSize * vSize * rowCount - vSize * rowCount)) * 4 + 0] = slice[j++];
-        data[ (0 + (vSize - 1) + k * vSize * vSize - i - (vSize * vSize * vSize * rowCount - vSize * rowCount)) * 4 + 1] = slice[j++]; 
-        data[ (0 + (vSize - 1) + k * vSize * vSize - i - (vSize * vSize * vSize * rowCount - vSize * rowCount)) * 4 + 2] = slice[j++]; 
-        data[ (0 + (vSize - 1) + k * vSize * vSize - i - (vSize * vSize * vSize * rowCount - vSize * rowCount)) * 4 + 3] = slice[j++]; 
+  // Slabs that entered the cascade when its origin moved from one voxel to another.
+  // Corners shared by two slabs are voxelized twice, which keeps them simple.
+  _scrolledRegions(cascade, from, to) {
+    const regions = [];
+    for (let axis = 0; axis < 3; axis++) {
+      const delta = to[axis] - from[axis];
+      if (delta === 0) {
+        continue;
       }
+
+      if (Math.abs(delta) >= cascade.dimensions[axis]) {
+        return [this._createRegion(cascade, to, cascade.dimensions)];
+      }
+
+      const origin = to.slice();
+      const dimensions = cascade.dimensions.slice();
+      origin[axis] = delta > 0 ? from[axis] + cascade.dimensions[axis] : to[axis];
+      dimensions[axis] = Math.abs(delta);
+      regions.push(this._createRegion(cascade, origin, dimensions));
     }
+    return regions;
+  }
 
-    // Add to Y
-    for (let i = 0; i < this.voxelTextureSize; i++ ) {
-      let slice = new Uint8Array(this.voxelTextureSize * this.voxelTextureSize * 4);
-      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, this.yTexture, 0, i);
-      gl.readPixels(0, 0, this.voxelTextureSize, this.voxelTextureSize, gl.RGBA,  gl.UNSIGNED_BYTE, slice, 0);
+  // mode is the voxelization path of the pass, SLICE_VOXELIZATION or DOMINANT_AXIS_VOXELIZATION
+  _createPass(regions, mode = this.voxelizationMode) {
+    return { regions, mode, region: 0, axis: 0, slice: 0 };
+  }
 
-      let j = 0;
-      let it = 0;
-      let rowCount = 0;
-      for (let k = 0; k < vSize * vSize; k++) {
-        if (k > 0 && k % vSize === 0) { it = 0; rowCount++; }
+  // Works on pass until it is done or performance.now() passes deadline, at least one step is always taken.
+  // Each region is merged into its volume when all axes are voxelized, returns true after the last one.
+  _runPass(pass, deadline, scene, camera, depthTexture, sceneUBO, materialUBO, modelMatricesUBO, pointLightUBO) {
+    const gl = glContext();
+    if (pass.region === pass.regions.length) {
+      return true;
+    }
 
-        if (slice[j+0] > 0) {
-          data[ (i * vSize + vSize * vSize * rowCount + vSize - it - 1) * 4 + 0] = slice[j+0];
-        }
+    let program = this._beginVoxelization(pass.mode, scene, depthTexture, sceneUBO, pointLightUBO);
+    do {
+      const region = pass.regions[pass.region];
+      this._voxelizeStep(pass, region, scene, camera, program, materialUBO, modelMatricesUBO);
+
+      if (pass.axis === VoxelConeTracer.AXES.length) {
+        this._mergeAxisTextures(region, pass.mode);
+        pass.region++;
+        pass.axis = 0;
+        pass.slice = 0;
 
-        if (slice [j + 1] > 0) {
-          data[ (i * vSize + vSize * vSize * rowCount + vSize - it - 1) * 4 + 1] = slice[j+1];
+        if (pass.region === pass.regions.length) {
+          break;
+        }
+        program = this._beginVoxelization(pass.mode, scene, depthTexture, sceneUBO, pointLightUBO);
+      }
+    } while (performance.now() < deadline);
+
+    const done = pass.region === pass.regions.length;
+    if (done) {
+      new Set(pass.regions.map(region => region.volume)).forEach(volume => {
+        // Octree chunks are read back as they are, the octree builds its own levels
+        if (volume === this._chunkVolume) {
+          return;
         }
 
-        if (slice [j + 2] > 0) {
-          data[ (i * vSize + vSize * vSize * rowCount + vSize - it - 1) * 4 + 2] = slice[j+2];
+        this._generateMipmaps(volume);
+        if (volume !== this.volume) {
+          return;
         }
 
-        if (slice[j + 3 ] > 0) {
-          data[ (i * vSize + vSize * vSize * rowCount + vSize - it - 1) * 4 + 3] = slice[j+3];
+        if (this._writesAttributes(volume)) {
+          for (let i = 0; i < this.bounces; i++) {
+            this._renderBounce(volume);
+          }
         }
-        j += 4;
-        it++
-      }
+        if (this.anisotropic) {
+          this._buildAnisotropicMipmaps();
+        }
+      });
     }
 
-    // Add to Z texture
-    for (let i = 0; i < this.voxelTextureSize; i++ ) {
-      let slice = new Uint8Array(this.voxelTextureSize * this.voxelTextureSize * 4);
-      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, this.zTexture, 0, i);
-      gl.readPixels(0, 0, this.voxelTextureSize, this.voxelTextureSize, gl.RGBA,  gl.UNSIGNED_BYTE, slice, 0);
+    this._endVoxelization();
+    return done;
+  }
 
-      for (let j = 0; j < this.voxelTextureSize * this.voxelTextureSize * 4; j++) {
+  _beginVoxelization(mode, scene, depthTexture, sceneUBO, pointLightUBO) {
+    const gl = glContext();
+    gl.disable(gl.CULL_FACE);
+    gl.enable(gl.DEPTH_TEST);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.voxelFb);
+    gl.clearColor(0.0, 0.0, 0.0, 0.0);
+
+    if (this._wantsAttributes() && this.volume && !this.volume.albedoTexture) {
+      this._createAttributeTextures();
+    }
 
-        if (slice[j] > 0)
-          data[this.voxelTextureSize * this.voxelTextureSize * i * 4 + j] = slice[ j];
+    let program;
+    if (mode === VoxelConeTracer.DOMINANT_AXIS_VOXELIZATION) {
+      if (!this.xAtlas) {
+        this._initAtlasTextures();
+      }
+      if (this.attributeTextures && !this.attributeAtlases) {
+        this._initAttributeAtlases();
       }
+
+      this.dominantAxisVoxelizationShader.activate();
+      program = this.dominantAxisVoxelizationShader.program;
+    } else {
+      this.voxelizationShader.activate();
+      program = this.voxelizationShader.program;
     }
 
-    // Generate mip
-    gl.bindTexture(gl.TEXTURE_3D, this.voxelTexture);
-    gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGBA8, this.voxelTextureSize, this.voxelTextureSize, this.voxelTextureSize, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    // Upload shadow map
+    gl.activeTexture(gl.TEXTURE0 + 4);
+    gl.bindTexture(gl.TEXTURE_2D, depthTexture);
+    gl.uniform1i(gl.getUniformLocation(program, 'shadowMap'), 4);
 
-    gl.generateMipmap(gl.TEXTURE_3D);
+    gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'pointLightsBuffer'), pointLightUBO.location);
+    gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'sceneBuffer'), sceneUBO.location);
+    gl.uniform1i(gl.getUniformLocation(program, 'numPointLights'), Math.min(scene.pointLights.length, VoxelConeTracer.MAX_POINT_LIGHTS));
+
+    // Packed voxels can't be summed, there the last fragment wins
+    if (this.hdr) {
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.ONE, gl.ONE);
+    } else {
+      gl.disable(gl.BLEND);
+    }
+    return program;
+  }
 
+  _endVoxelization() {
+    const gl = glContext();
     gl.disable(gl.BLEND);
     // Clean state
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     gl.bindRenderbuffer(gl.RENDERBUFFER, null);
     gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+  }
 
-    t1 = performance.now();
-    console.log("Voxelization took " + (t1 - t0) + " milliseconds.")
+  // Advances pass by one slice of region, or by a whole axis for the dominant axis path
+  _voxelizeStep(pass, region, scene, camera, program, materialUBO, modelMatricesUBO) {
+    const axis = VoxelConeTracer.AXES[pass.axis];
+    if (pass.mode === VoxelConeTracer.DOMINANT_AXIS_VOXELIZATION) {
+      this._voxelizeAxis(region, axis, scene, camera, program, materialUBO, modelMatricesUBO);
+      pass.axis++;
+    } else {
+      this._voxelizeSlice(region, axis, pass.slice, scene, camera, program, materialUBO, modelMatricesUBO);
+      if (++pass.slice === region.dimensions[axis]) {
+        pass.slice = 0;
+        pass.axis++;
+      }
+    }
+  }
+
+  // All slices of one axis in a single instanced draw per object
+  _voxelizeAxis(region, axis, scene, camera, program, materialUBO, modelMatricesUBO) {
+    const gl = glContext();
+    const layout = this._atlasLayout(axis, region.dimensions);
+    gl.viewport(0, 0, layout.width, layout.height);
+
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this._axisAtlas(axis), 0);
+    const attributes = this._writesAttributes(region.volume);
+    if (attributes) {
+      this.attributeAtlases[axis].forEach((atlas, i) =>
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1 + i, gl.TEXTURE_2D, atlas, 0));
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1, gl.COLOR_ATTACHMENT2]);
+    }
+    if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) != gl.FRAMEBUFFER_COMPLETE) {
+      console.error("FBO is not complete" + FrameBufferObject.checkFrameBufferStatus(gl.checkFramebufferStatus(gl.FRAMEBUFFER)));
+    }
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.uniform3fv(gl.getUniformLocation(program, 'volumeMin'), region.min);
+    gl.uniform3fv(gl.getUniformLocation(program, 'volumeSizeInv'), region.sizeInv);
+    gl.uniform1i(gl.getUniformLocation(program, 'axis'), axis);
+    gl.uniform1f(gl.getUniformLocation(program, 'slices'), layout.tiles);
+    gl.uniform1f(gl.getUniformLocation(program, 'tilesPerRow'), layout.tilesPerRow);
+    gl.uniform2f(gl.getUniformLocation(program, 'tileSize'), layout.tileWidth, layout.tileHeight);
+    gl.uniform2f(gl.getUniformLocation(program, 'atlasSize'), layout.width, layout.height);
+
+    scene.objects.forEach(object => {
+      this._renderObject(object, scene, camera, program, materialUBO, modelMatricesUBO, layout.tiles);
+    });
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, null, 0);
+    if (attributes) {
+      this._detachAttributes();
+    }
+  }
+
+  _voxelizeSlice(region, axis, i, scene, camera, program, materialUBO, modelMatricesUBO) {
+    const gl = glContext();
+    const texture = this._axisTexture(axis);
+    const [w, h, d] = region.dimensions;
+    switch (axis) {
+      case VoxelConeTracer.AXIS_X: gl.viewport(0, 0, d, h); break;
+      case VoxelConeTracer.AXIS_Y: gl.viewport(0, 0, w, d); break;
+      case VoxelConeTracer.AXIS_Z: gl.viewport(0, 0, w, h); break;
+    }
+
+    gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, texture, 0, i);
+    const attributes = this._writesAttributes(region.volume);
+    if (attributes) {
+      this.attributeTextures[axis].forEach((attributeTexture, j) =>
+        gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1 + j, attributeTexture, 0, i));
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1, gl.COLOR_ATTACHMENT2]);
+    }
+    if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) != gl.FRAMEBUFFER_COMPLETE) {
+      console.error("FBO is not complete" + FrameBufferObject.checkFrameBufferStatus(gl.checkFramebufferStatus(gl.FRAMEBUFFER)));
+    }
+
+    // Layers are accumulated with additive blending, so old content has to go when re-voxelizing
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.uniformMatrix4fv(gl.getUniformLocation(program, 'viewProjection'), false, this._sliceViewProjection(region, axis, i));
+
+    // Render scene
+    scene.objects.forEach(object => {
+      this._renderObject(object, scene, camera, program, materialUBO, modelMatricesUBO);
+    });
+
+    if (attributes) {
+      this._detachAttributes();
+    }
   }
 
-  render(scene, camera, depthTexture, guiUBO, sceneUBO, materialUBO, modelMatricesUBO) {
-    this.coneTracerShader.activate();
+  // The merge reads the attribute staging textures, they can't stay attached to the framebuffer
+  _detachAttributes(count = 2) {
+    const gl = glContext();
+    for (let i = 1; i <= count; i++) {
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, gl.TEXTURE_2D, null, 0);
+    }
+    gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+  }
+
+  _axisTexture(axis) {
+    switch (axis) {
+      case VoxelConeTracer.AXIS_X: return this.xTexture;
+      case VoxelConeTracer.AXIS_Y: return this.yTexture;
+      case VoxelConeTracer.AXIS_Z: return this.zTexture;
+    }
+  }
+
+  _axisAtlas(axis) {
+    switch (axis) {
+      case VoxelConeTracer.AXIS_X: return this.xAtlas;
+      case VoxelConeTracer.AXIS_Y: return this.yAtlas;
+      case VoxelConeTracer.AXIS_Z: return this.zAtlas;
+    }
+  }
+
+  // One tile per slice along axis, the tile spans the two other axes in x, y, z order
+  _atlasLayout(axis, [w, h, d]) {
+    const [tileWidth, tileHeight, tiles] = axis === VoxelConeTracer.AXIS_X ? [h, d, w] :
+      (axis === VoxelConeTracer.AXIS_Y ? [w, d, h] : [w, h, d]);
+    const tilesPerRow = Math.ceil(Math.sqrt(tiles));
+
+    return {
+      tileWidth,
+      tileHeight,
+      tiles,
+      tilesPerRow,
+      width: tilesPerRow * tileWidth,
+      height: Math.ceil(tiles / tilesPerRow) * tileHeight,
+    };
+  }
 
+  // Sized for the staging dimensions, the layout of any smaller region fits inside
+  _createAtlas(axis) {
     const gl = glContext();
-    const program = this.coneTracerShader.program;
+    const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+    const layout = this._atlasLayout(axis, this._stagingDimensions);
+    if (layout.width > maxSize || layout.height > maxSize) {
+      console.error("Slice atlas of size " + layout.width + "x" + layout.height + " is not supported, lower the voxel resolution");
+    }
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texStorage2D(gl.TEXTURE_2D, 1, this.voxelFormat, layout.width, layout.height);
+    return texture;
+  }
+
+  _initAtlasTextures() {
+    this.xAtlas = this._createAtlas(VoxelConeTracer.AXIS_X);
+    this.yAtlas = this._createAtlas(VoxelConeTracer.AXIS_Y);
+    this.zAtlas = this._createAtlas(VoxelConeTracer.AXIS_Z);
+  }
+
+  // [albedo, normal] per axis like attributeTextures
+  _initAttributeAtlases() {
+    this.attributeAtlases = [VoxelConeTracer.AXIS_X, VoxelConeTracer.AXIS_Y, VoxelConeTracer.AXIS_Z]
+      .map(axis => [this._createAtlas(axis), this._createAtlas(axis)]);
+  }
+
+  // Slice i of axis through region, the near and far planes enclose one voxel layer.
+  // x slices are seen as (z, y) and stored back to front, y slices as (-x, z) and z slices as (x, y).
+  _sliceViewProjection(region, axis, i) {
+    const [hx, hy, hz] = [0.5 * region.size[0], 0.5 * region.size[1], 0.5 * region.size[2]];
+    const [right, top, depth] = axis === VoxelConeTracer.AXIS_X ? [hz, hy, hx] :
+      (axis === VoxelConeTracer.AXIS_Y ? [hx, hz, hy] : [hx, hy, hz]);
+    const slices = region.dimensions[axis];
+
+    const orthoCamera = new OrthographicCamera(
+      -right,
+      right,
+      -top,
+      top,
+      depth - (i / slices) * depth * 2, // near
+      depth - ((i + 1) / slices) * depth * 2); // far
+
+    const center = region.center;
+    const target = vec3.create();
+    orthoCamera.position = vec3.clone(center);
+
+    switch (axis) {
+      case VoxelConeTracer.AXIS_X:
+        orthoCamera.up = vec3.fromValues(0.0, 1.0, 0.0);
+        orthoCamera.lookAt(vec3.add(target, center, vec3.fromValues(1.0, 0.0, 0.0)));
+        break;
+      case VoxelConeTracer.AXIS_Y:
+        orthoCamera.up = vec3.fromValues(0.0, 0.0, 1.0);
+        orthoCamera.lookAt(vec3.add(target, center, vec3.fromValues(0.0, -1.0, 0.0)));
+        break;
+      case VoxelConeTracer.AXIS_Z:
+        orthoCamera.lookAt(vec3.add(target, center, vec3.fromValues(0.0, 0.0, -1.0)));
+        break;
+    }
+
+    const viewProjection = mat4.create();
+    mat4.multiply(viewProjection, orthoCamera.projectionMatrix, orthoCamera.viewMatrix);
+    return viewProjection;
+  }
+
+  // Everything that influences the voxel radiance, used to detect when the volume is stale
+  _captureSceneState(scene) {
+    const state = [];
+    scene.objects.forEach(object => {
+      state.push(...object.modelMatrix);
+      // Animated skins move without their mesh
+      if (object.boneMatrices) {
+        state.push(...object.boneMatrices);
+      }
+    });
+    scene.directionalLights.forEach(light => state.push(...light.worldDirection));
+    scene.pointLights.forEach(light => state.push(...light.worldPosition, ...light.color, light.intensity, light.radius));
+    return state;
+  }
+
+  _sceneStateChanged(state) {
+    const prev = this._sceneState;
+    if (!prev || prev.length !== state.length) {
+      return true;
+    }
+
+    for (let i = 0; i < state.length; i++) {
+      if (prev[i] !== state[i]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Combine the three axis projections of region into its volume, one fullscreen pass per slice.
+  // Cascades store voxel (x, y, z) at texel (x, y, z) mod resolution, voxels outside the current window are dropped.
+  _mergeAxisTextures(region, mode) {
+    const gl = glContext();
+    const volume = region.volume;
+    const atlas = mode === VoxelConeTracer.DOMINANT_AXIS_VOXELIZATION;
+    const attributes = this._writesAttributes(volume);
+    const shader = attributes ? (atlas ? this.attributeAtlasMergeShader : this.attributeMergeShader) :
+      (atlas ? this.atlasMergeShader : this.voxelMergeShader);
+    const target = atlas ? gl.TEXTURE_2D : gl.TEXTURE_2D_ARRAY;
+    shader.activate();
+    const program = shader.program;
+
+    gl.disable(gl.BLEND);
+    gl.viewport(0, 0, volume.dimensions[0], volume.dimensions[1]);
+
+    gl.activeTexture(gl.TEXTURE0 + 0);
+    gl.bindTexture(target, atlas ? this.xAtlas : this.xTexture);
+    gl.uniform1i(gl.getUniformLocation(program, 'xTexture'), 0);
+    gl.activeTexture(gl.TEXTURE0 + 1);
+    gl.bindTexture(target, atlas ? this.yAtlas : this.yTexture);
+    gl.uniform1i(gl.getUniformLocation(program, 'yTexture'), 1);
+    gl.activeTexture(gl.TEXTURE0 + 2);
+    gl.bindTexture(target, atlas ? this.zAtlas : this.zTexture);
+    gl.uniform1i(gl.getUniformLocation(program, 'zTexture'), 2);
+    if (attributes) {
+      // Albedo on units 3 to 5, normals on 6 to 8
+      const staging = atlas ? this.attributeAtlases : this.attributeTextures;
+      ['Albedo', 'Normal'].forEach((name, j) => {
+        ['x', 'y', 'z'].forEach((axisName, axis) => {
+          gl.activeTexture(gl.TEXTURE0 + 3 + 3 * j + axis);
+          gl.bindTexture(target, staging[axis][j]);
+          gl.uniform1i(gl.getUniformLocation(program, axisName + name), 3 + 3 * j + axis);
+        });
+      });
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1, gl.COLOR_ATTACHMENT2, gl.COLOR_ATTACHMENT3]);
+    }
+    gl.uniform3iv(gl.getUniformLocation(program, 'resolution'), region.dimensions);
+    gl.uniform3iv(gl.getUniformLocation(program, 'volumeResolution'), volume.dimensions);
+    gl.uniform3iv(gl.getUniformLocation(program, 'windowMin'), volume.origin.map((o, i) => mod(o, volume.dimensions[i])));
+    gl.uniform3iv(gl.getUniformLocation(program, 'regionOffset'), volume.origin.map((o, i) => o - region.origin[i]));
+    if (atlas) {
+      gl.uniform3i(gl.getUniformLocation(program, 'tilesPerRow'),
+        this._atlasLayout(VoxelConeTracer.AXIS_X, region.dimensions).tilesPerRow,
+        this._atlasLayout(VoxelConeTracer.AXIS_Y, region.dimensions).tilesPerRow,
+        this._atlasLayout(VoxelConeTracer.AXIS_Z, region.dimensions).tilesPerRow);
+    }
+
+    const layerLocation = gl.getUniformLocation(program, 'layer');
+    for (let i = 0; i < region.dimensions[2]; i++) {
+      const z = region.origin[2] + i;
+      if (z < volume.origin[2] || z >= volume.origin[2] + volume.dimensions[2]) {
+        continue;
+      }
+
+      const layer = mod(z, volume.dimensions[2]);
+      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, volume.texture, 0, layer);
+      if (attributes) {
+        gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, volume.directTexture, 0, layer);
+        gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT2, volume.albedoTexture, 0, layer);
+        gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT3, volume.normalTexture, 0, layer);
+      }
+      gl.uniform1i(layerLocation, layer);
+      this.quad.draw();
+    }
+    gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, null, 0, 0);
+    if (attributes) {
+      this._detachAttributes(3);
+    }
+  }
+
+  // Alpha weighted replacement for generateMipmap, see VoxelMipShader
+  // box limits the update to the mips above a { min, max } box of level 0 voxels, max exclusive
+  _generateMipmaps(volume, box = null) {
+    const gl = glContext();
+    this.voxelMipShader.activate();
+    const program = this.voxelMipShader.program;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.voxelFb);
+    gl.disable(gl.BLEND);
+
+    gl.activeTexture(gl.TEXTURE0 + 0);
+    gl.uniform1i(gl.getUniformLocation(program, 'source'), 0);
+    for (let level = 1; level < mipLevels(volume.dimensions); level++) {
+      this._renderMipLevel(program, volume.texture, level - 1, volume.texture, level, volume.dimensions, box);
+    }
+    gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, null, 0, 0);
+  }
+
+  // Direct light plus one more bounce of what the voxels currently hold, written to the bounce texture
+  // which then swaps places with the volume texture
+  _renderBounce(volume) {
+    const gl = glContext();
+    this.voxelBounceShader.activate();
+    const program = this.voxelBounceShader.program;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.voxelFb);
+    gl.disable(gl.BLEND);
+
+    const inputs = [volume.texture, volume.directTexture, volume.albedoTexture, volume.normalTexture];
+    ['radiance', 'direct', 'albedo', 'normals'].forEach((name, i) => {
+      gl.activeTexture(gl.TEXTURE0 + i);
+      gl.bindTexture(gl.TEXTURE_3D, inputs[i]);
+      gl.uniform1i(gl.getUniformLocation(program, name), i);
+    });
+    gl.uniform1f(gl.getUniformLocation(program, 'maxDistance'), Math.max(...volume.dimensions));
+    gl.uniform1f(gl.getUniformLocation(program, 'intensity'), this.bounceIntensity);
+
+    const layerLocation = gl.getUniformLocation(program, 'layer');
+    gl.viewport(0, 0, volume.dimensions[0], volume.dimensions[1]);
+    for (let layer = 0; layer < volume.dimensions[2]; layer++) {
+      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, volume.bounceTexture, 0, layer);
+      gl.uniform1i(layerLocation, layer);
+      this.quad.draw();
+    }
+    gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, null, 0, 0);
+
+    [volume.texture, volume.bounceTexture] = [volume.bounceTexture, volume.texture];
+    this.voxelTexture = volume.texture;
+    this._generateMipmaps(volume);
+  }
+
+  // Draws every layer of level of target with the active mip shader, reading sourceLevel of source.
+  // dimensions is the size of level 0 of target, box optionally limits it to the voxels above a level 0 box.
+  _renderMipLevel(program, source, sourceLevel, target, level, dimensions, box = null) {
+    const gl = glContext();
+
+    // Only the level that is read may be visible to the sampler, the written one is attached to the framebuffer.
+    // The shaders read lod 0, which is the base level.
+    gl.bindTexture(gl.TEXTURE_3D, source);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_BASE_LEVEL, sourceLevel);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAX_LEVEL, sourceLevel);
+
+    const size = dimensions.map(size => Math.max(1, size >> level));
+    const lo = box ? box.min.map(c => c >> level) : [0, 0, 0];
+    const hi = box ? box.max.map((c, i) => Math.min(size[i], Math.ceil(c / (1 << level)))) : size;
+    const layerLocation = gl.getUniformLocation(program, 'layer');
+    gl.viewport(0, 0, size[0], size[1]);
+    if (box) {
+      gl.enable(gl.SCISSOR_TEST);
+      gl.scissor(lo[0], lo[1], hi[0] - lo[0], hi[1] - lo[1]);
+    }
+    for (let layer = lo[2]; layer < hi[2]; layer++) {
+      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, target, level, layer);
+      gl.uniform1i(layerLocation, layer);
+      this.quad.draw();
+    }
+    gl.disable(gl.SCISSOR_TEST);
+
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_BASE_LEVEL, 0);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAX_LEVEL, 1000);
+  }
+
+  // One volume per direction +x, -x, +y, -y, +z, -z at half the resolution of voxelTexture, with full mip chains
+  _createAnisotropicTextures() {
+    const gl = glContext();
+    this.anisotropicDimensions = this.dimensions.map(d => Math.max(1, Math.ceil(d / 2)));
+
+    this.anisotropicTextures = [];
+    for (let i = 0; i < 6; i++) {
+      this.anisotropicTextures.push(createVolumeTexture(gl.TEXTURE_3D, ...this.anisotropicDimensions, this.voxelFormat, this.voxelFilter));
+    }
+  }
+
+  // Replaces the isotropic mips for tracing, box filtering lets light leak through thin walls
+  _buildAnisotropicMipmaps() {
+    const gl = glContext();
+    if (!this.anisotropicTextures) {
+      this._createAnisotropicTextures();
+    }
+
+    this.anisotropicMipShader.activate();
+    const program = this.anisotropicMipShader.program;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.voxelFb);
+    gl.disable(gl.BLEND);
+
+    gl.activeTexture(gl.TEXTURE0 + 0);
+    gl.uniform1i(gl.getUniformLocation(program, 'source'), 0);
+
+    const levels = mipLevels(this.anisotropicDimensions);
+    this.anisotropicTextures.forEach((texture, direction) => {
+      gl.uniform1i(gl.getUniformLocation(program, 'direction'), direction);
+      // The first level is built from the full resolution voxels
+      this._renderMipLevel(program, this.voxelTexture, 0, texture, 0, this.anisotropicDimensions);
+      for (let level = 1; level < levels; level++) {
+        this._renderMipLevel(program, texture, level - 1, texture, level, this.anisotropicDimensions);
+      }
+    });
+    gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, null, 0, 0);
+  }
+
+  // Draws objects, by default the whole scene, cone traced
+  render(scene, camera, depthTexture, guiUBO, sceneUBO, materialUBO, modelMatricesUBO, objects = scene.objects) {
+    if (!objects.length) {
+      return;
+    }
+
+    const program = this._activateConeTracing({
+      dense: this.coneTracerShader,
+      clipmap: this.clipmapConeTracerShader,
+      anisotropic: this.anisotropicConeTracerShader,
+      octree: this.octreeConeTracerShader,
+    }, camera, depthTexture, guiUBO, sceneUBO);
+
+    // Render scene normal
+    Material.drawOrder(objects, camera.position).forEach(object => {
+      object.material.applyRenderState();
+      this._renderObject(object, scene, camera, program, materialUBO, modelMatricesUBO);
+      object.material.resetRenderState();
+    });
+  }
+
+  // Lights gBuffer, a FrameBufferObject filled by GBufferShader with a depthBuffer, on a full screen quad.
+  // Its textures go to units 0 to 3 and 12.
+  renderDeferred(camera, gBuffer, depthTexture, guiUBO, sceneUBO) {
+    // Only compiled when the deferred path is used
+    if (!this.deferredShaders) {
+      this.deferredShaders = {
+        dense: new DeferredShader(/*cascades=*/0, /*anisotropic=*/false, this.hdr),
+        clipmap: new DeferredShader(/*cascades=*/VoxelConeTracer.MAX_CASCADES, /*anisotropic=*/false, this.hdr),
+        anisotropic: new DeferredShader(/*cascades=*/0, /*anisotropic=*/true, this.hdr),
+        octree: new DeferredShader(/*cascades=*/0, /*anisotropic=*/false, this.hdr, /*octree=*/true),
+      };
+    }
+    const program = this._activateConeTracing(this.deferredShaders, camera, depthTexture, guiUBO, sceneUBO);
+
+    const gl = glContext();
+    [
+      [gBuffer.colorBuffers[0], 'albedoBuffer', 0],
+      [gBuffer.colorBuffers[1], 'normalBuffer', 1],
+      [gBuffer.colorBuffers[2], 'surfaceBuffer', 2],
+      [gBuffer.colorBuffers[3], 'emissiveBuffer', 3],
+      [gBuffer.depthBuffer, 'depthBuffer', 12],
+    ].forEach(([texture, sampler, unit]) => {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.uniform1i(gl.getUniformLocation(program, sampler), unit);
+    });
+
+    const inverseViewProjection = mat4.create();
+    mat4.multiply(inverseViewProjection, camera.projectionMatrix, camera.viewMatrix);
+    mat4.invert(inverseViewProjection, inverseViewProjection);
+    gl.uniformMatrix4fv(gl.getUniformLocation(program, 'inverseViewProjection'), false, inverseViewProjection);
+
+    this.quad.draw();
+  }
+
+  // Activates the program of shaders, { dense, clipmap, anisotropic, octree }, for the current voxel storage and
+  // uploads the voxels, the shadow map and what else the coneTracing shader chunk needs
+  _activateConeTracing(shaders, camera, depthTexture, guiUBO, sceneUBO) {
+    const anisotropic = this.anisotropic && this.anisotropicTextures && !this.cascades && !this.octree;
+    let shader = anisotropic ? shaders.anisotropic : shaders.dense;
+    if (this.cascades) {
+      shader = shaders.clipmap;
+    } else if (this.octree) {
+      shader = shaders.octree;
+    }
+    shader.activate();
+
+    const gl = glContext();
+    const program = shader.program;
 
     // Upload shadow map
     gl.activeTexture(gl.TEXTURE0 + 4);
     gl.bindTexture(gl.TEXTURE_2D, depthTexture);
     gl.uniform1i(gl.getUniformLocation(program, 'shadowMap'), 4);
 
-    // Upload voxel map
-    gl.activeTexture(gl.TEXTURE0 + 5);
-    gl.bindTexture(gl.TEXTURE_3D, this.voxelTexture);
-    gl.uniform1i(gl.getUniformLocation(program, 'voxelTexture'), 5);
+    if (this.cascades) {
+      this._uploadCascades(program);
+    } else if (this.octree) {
+      this._uploadOctree(program);
+    } else {
+      // Upload voxel map
+      gl.activeTexture(gl.TEXTURE0 + 5);
+      gl.bindTexture(gl.TEXTURE_3D, this.voxelTexture);
+      gl.uniform1i(gl.getUniformLocation(program, 'voxelTexture'), 5);
+      gl.uniform3fv(gl.getUniformLocation(program, 'volumeMin'), this.volumeMin);
+      gl.uniform3fv(gl.getUniformLocation(program, 'volumeSizeInv'), this.volumeSizeInv);
+    }
+
+    if (anisotropic) {
+      this._uploadAnisotropicTextures(program);
+    }
 
     // Set the uniform block binding for the active program
     gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'guiDataBuffer'), guiUBO.location);
     gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'sceneBuffer'), sceneUBO.location);
-    gl.uniform1f(gl.getUniformLocation(program, 'sceneScaleInv'), this.sceneScaleInv);
     gl.uniform1f(gl.getUniformLocation(program, 'voxelWorldSize'), this.voxelWorldSize);
     gl.uniform1f(gl.getUniformLocation(program, 'voxelWorldSizeInv'), this.voxelWorldSizeInv);
     gl.uniform3fv(gl.getUniformLocation(program, 'camera_world'), camera.position);
+    return program;
+  }
 
-    // Render scene normal
-    scene.objects.forEach(object => {
-      this._renderObject(object, scene, camera, program, materialUBO, modelMatricesUBO);
+  // Directions go to texture units 6 to 11
+  _uploadAnisotropicTextures(program) {
+    const gl = glContext();
+    ['voxelPosX', 'voxelNegX', 'voxelPosY', 'voxelNegY', 'voxelPosZ', 'voxelNegZ'].forEach((name, i) => {
+      gl.activeTexture(gl.TEXTURE0 + 6 + i);
+      gl.bindTexture(gl.TEXTURE_3D, this.anisotropicTextures[i]);
+      gl.uniform1i(gl.getUniformLocation(program, name), 6 + i);
     });
+
+    const scale = this.dimensions.map((d, i) => d / (2 * this.anisotropicDimensions[i]));
+    gl.uniform3fv(gl.getUniformLocation(program, 'anisotropicScale'), scale);
+  }
+
+  // Nodes go to texture unit 5, bricks to 6
+  _uploadOctree(program) {
+    const gl = glContext();
+    const octree = this.octree;
+    gl.activeTexture(gl.TEXTURE0 + 5);
+    gl.bindTexture(gl.TEXTURE_2D, octree.nodeTexture);
+    gl.uniform1i(gl.getUniformLocation(program, 'octreeNodes'), 5);
+    gl.activeTexture(gl.TEXTURE0 + 6);
+    gl.bindTexture(gl.TEXTURE_3D, octree.brickTexture);
+    gl.uniform1i(gl.getUniformLocation(program, 'octreeBricks'), 6);
+
+    gl.uniform1i(gl.getUniformLocation(program, 'octreeDepth'), octree.depth);
+    gl.uniform1i(gl.getUniformLocation(program, 'nodeTextureWidth'), octree.nodeTextureWidth);
+    gl.uniform3iv(gl.getUniformLocation(program, 'brickPool'), octree.brickPool);
+    gl.uniform1f(gl.getUniformLocation(program, 'brickSize'), octree.brickSize);
+    gl.uniform3fv(gl.getUniformLocation(program, 'volumeMin'), this.volumeMin);
+    gl.uniform3fv(gl.getUniformLocation(program, 'volumeSizeInv'), this.octreeSizeInv);
+  }
+
+  // Cascade i goes to texture unit 5 + i, samplers of missing cascades share the unit of the first
+  _uploadCascades(program) {
+    const gl = glContext();
+    const cascadeMin = [];
+    for (let i = 0; i < VoxelConeTracer.MAX_CASCADES; i++) {
+      const cascade = this.cascades[i];
+      if (cascade) {
+        gl.activeTexture(gl.TEXTURE0 + 5 + i);
+        gl.bindTexture(gl.TEXTURE_3D, cascade.texture);
+      }
+      gl.uniform1i(gl.getUniformLocation(program, 'voxelCascade' + i), cascade ? 5 + i : 5);
+
+      const origin = cascade && cascade.origin ? cascade.origin : [0, 0, 0];
+      cascadeMin.push(...origin.map(o => o * (cascade ? cascade.voxelSize : 0)));
+    }
+
+    gl.uniform1i(gl.getUniformLocation(program, 'cascadeCount'), this.cascades.length);
+    gl.uniform1f(gl.getUniformLocation(program, 'clipmapExtent'), this.clipmapExtent);
+    gl.uniform3fv(gl.getUniformLocation(program, 'cascadeMin'), cascadeMin);
   }
 
-  _renderObject(object, scene, camera, program, materialUBO, modelMatricesUBO) {
+  _renderObject(object, scene, camera, program, materialUBO, modelMatricesUBO, instanceCount = 0) {
     modelMatricesUBO.update([
       ...object.modelMatrix,
       ...object.normalMatrix
     ]);
 
-    const materialData = object.materialData;
     // Different between objects
-    materialUBO.update([
-      ...[...materialData.ambient, 0.0], // vec3 16  0
-      ...[...materialData.diffuse, 0.0], // vec3 16  16
-      // ...[...materialData.emissive, 0.0], // vec3 16 32
-      ...[...materialData.specular, 0.0], // vec3 16  48
-      materialData.specularExponent, // 4, this.voxelTextureSize
-      Boolean(materialData.mapDiffuse),  // 4, 72
-      Boolean(materialData.mapBump), //4, 76
-      Boolean(materialData.mapSpecular),
-      Boolean(materialData.mapDissolve)
-    ]); // Real chunk size here
+    materialUBO.update(object.material.uniformData());
 
     const gl = glContext();
     gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'materialBuffer'), materialUBO.location);
     gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'modelMatrices'), modelMatricesUBO.location);
-    object.uploadTextures(program);
-    object.draw();
+    object.material.bindTextures(program);
+    object.uploadSkin(program);
+    if (instanceCount) {
+      object.drawInstanced(instanceCount);
+    } else {
+      object.draw();
+    }
   }
 };
 
+VoxelConeTracer.AXIS_X = 0;
+VoxelConeTracer.AXIS_Y = 1;
+VoxelConeTracer.AXIS_Z = 2;
+VoxelConeTracer.AXES = [VoxelConeTracer.AXIS_Y, VoxelConeTracer.AXIS_Z, VoxelConeTracer.AXIS_X];
+
+// Voxelization modes
+VoxelConeTracer.SLICE_VOXELIZATION = 'slices'; // scene drawn once per slice and axis
+VoxelConeTracer.DOMINANT_AXIS_VOXELIZATION = 'dominantAxis'; // one instanced draw per axis
+
+// Volumes shown by renderVoxelDebug, albedo and normals only exist with keepAttributes or bounces
+VoxelConeTracer.RADIANCE_VOLUME = 'radiance';
+VoxelConeTracer.ALBEDO_VOLUME = 'albedo';
+VoxelConeTracer.NORMAL_VOLUME = 'normal';
+
+// Modes of VoxelEditShader
+VoxelConeTracer.EDIT_FILL = 0;
+VoxelConeTracer.EDIT_CLEAR = 1;
+VoxelConeTracer.EDIT_PAINT = 2;
+VoxelConeTracer.EDIT_PASTE = 3;
+
+// Storage of the volume of setVolume
+VoxelConeTracer.DENSE_STORAGE = 'dense'; // one 3D texture with mips
+VoxelConeTracer.OCTREE_STORAGE = 'octree'; // SparseVoxelOctree, only filled bricks are kept
+VoxelConeTracer.OCTREE_CHUNK_SIZE = 64; // voxels along each side of a chunk voxelized for the octree
+VoxelConeTracer.OCTREE_READBACKS = 4; // octree chunks read back at the same time
+
+VoxelConeTracer.MAX_CASCADES = 4; // texture units 5 to 8
+VoxelConeTracer.MAX_POINT_LIGHTS = 16; // size of pointLightsBuffer in VoxelizationShader
+VoxelConeTracer.CLIPMAP_SNAP = 4; // cascades move in steps of this many voxels
+
 export default VoxelConeTracer;
\ No newline at end of file
@@ -0,0 +1,435 @@
+import { decodeVoxels } from './volumefile.js'
+
+// Triangle meshes of a voxel volume, to look at the voxelization in other tools or as a coarse proxy of the scene.
+// grid and voxels are as for VoxelQuery, level 0 in the layout of voxelTexture. Colors come from the rgb of the
+// voxels, so albedo volumes give the surface colors and radiance volumes the lit ones.
+//
+// Both meshing methods return { geometry, indices } like the primitives in src/geometry, ready for Mesh.
+// geometry also holds colors, rgb per vertex, which Mesh leaves out and toOBJ writes.
+class VoxelMesher {
+  constructor(grid, voxels, hdr = true) {
+    this.dimensions = grid.dimensions.slice();
+    this.voxelSize = grid.voxelSize;
+    this.volumeMin = Array.from(grid.volumeMin);
+
+    if (hdr) {
+      this.voxels = voxels;
+    } else {
+      this.voxels = new Float32Array(voxels.length);
+      decodeVoxels(voxels, this.voxels);
+    }
+  }
+
+  // Voxel accurate, the visible faces of the filled voxels merged into as few quads as possible.
+  // Only faces of the same color are merged, colors are compared at 8 bits per channel.
+  greedy() {
+    const mesh = createMeshData();
+    const dims = this.dimensions;
+
+    for (let d = 0; d < 3; d++) {
+      const u = (d + 1) % 3;
+      const v = (d + 2) % 3;
+      const mask = new Int32Array(dims[u] * dims[v]);
+      const x = [0, 0, 0];
+
+      // Planes between the voxels, faces on the plane look towards +d or -d
+      for (let plane = 0; plane <= dims[d]; plane++) {
+        for (const sign of [1, -1]) {
+          // Color key of the face at every cell, -1 for none
+          mask.fill(-1);
+          for (x[v] = 0; x[v] < dims[v]; x[v]++) {
+            for (x[u] = 0; x[u] < dims[u]; x[u]++) {
+              x[d] = sign > 0 ? plane - 1 : plane;
+              const solid = this._filled(x);
+              x[d] = sign > 0 ? plane : plane - 1;
+              if (solid && !this._filled(x)) {
+                x[d] = sign > 0 ? plane - 1 : plane;
+                mask[x[u] + dims[u] * x[v]] = this._colorKey(x);
+              }
+            }
+          }
+
+          // Grow each face first along u and then along v while the color stays the same
+          for (let j = 0; j < dims[v]; j++) {
+            for (let i = 0; i < dims[u];) {
+              const key = mask[i + dims[u] * j];
+              if (key < 0) {
+                i++;
+                continue;
+              }
+
+              let width = 1;
+              while (i + width < dims[u] && mask[i + width + dims[u] * j] === key) {
+                width++;
+              }
+              let height = 1;
+              while (j + height < dims[v] && rowMatches(mask, dims[u], i, j + height, width, key)) {
+                height++;
+              }
+              for (let h = 0; h < height; h++) {
+                mask.fill(-1, i + dims[u] * (j + h), i + width + dims[u] * (j + h));
+              }
+
+              this._addQuad(mesh, d, u, v, plane, sign, i, j, width, height, key);
+              i += width;
+            }
+          }
+        }
+      }
+    }
+
+    return toGeometry(mesh);
+  }
+
+  // Smooth surface through the voxel opacities at isoLevel. The opacities are box filtered smoothing times
+  // first, which rounds off the staircase of the voxel grid.
+  marchingCubes(isoLevel = 0.5, smoothing = 1) {
+    const mesh = createMeshData();
+    let field = this._opacityField();
+    for (let i = 0; i < smoothing; i++) {
+      field = this._boxFilter(field);
+    }
+
+    // Padded by one empty voxel on every side so the surface is closed at the volume border
+    const [w, h, d] = this.dimensions;
+    const value = (x, y, z) =>
+      x < 0 || y < 0 || z < 0 || x >= w || y >= h || z >= d ? 0.0 : field[x + w * (y + h * z)];
+
+    // Vertices are shared between cubes, keyed by the lower corner and the axis of their edge
+    const vertexIndices = new Map();
+    const corners = new Float32Array(8);
+    const position = [0, 0, 0];
+    for (let z = -1; z < d; z++) {
+      for (let y = -1; y < h; y++) {
+        for (let x = -1; x < w; x++) {
+          let caseIndex = 0;
+          for (let i = 0; i < 8; i++) {
+            corners[i] = value(x + (i & 1), y + ((i >> 1) & 1), z + (i >> 2));
+            if (corners[i] > isoLevel) {
+              caseIndex |= 1 << i;
+            }
+          }
+
+          MARCHING_CUBES_CASES[caseIndex].forEach(loop => {
+            const loopIndices = loop.map(edge => {
+              const [a, b] = CUBE_EDGES[edge];
+              const axis = Math.log2(a ^ b);
+              const lower = [x + (a & 1), y + ((a >> 1) & 1), z + (a >> 2)];
+              const key = lower[0] + 1 + (w + 2) * (lower[1] + 1 + (h + 2) * (lower[2] + 1)) + ':' + axis;
+              let index = vertexIndices.get(key);
+              if (index === undefined) {
+                const t = (isoLevel - corners[a]) / (corners[b] - corners[a]);
+                position[0] = lower[0];
+                position[1] = lower[1];
+                position[2] = lower[2];
+                position[axis] += t;
+                // The color of the filled end of the edge, unless only the smoothing filled it
+                const upper = lower.map((c, i) => i === axis ? c + 1 : c);
+                const ends = corners[a] > isoLevel ? [lower, upper] : [upper, lower];
+                index = addVertex(mesh, this._toWorld(position), this._color(ends.find(end => this._filled(end)) || ends[0]));
+                vertexIndices.set(key, index);
+              }
+              return index;
+            });
+
+            for (let i = 1; i + 1 < loopIndices.length; i++) {
+              addTriangle(mesh, loopIndices[0], loopIndices[i], loopIndices[i + 1]);
+            }
+          });
+        }
+      }
+    }
+
+    computeSmoothNormals(mesh);
+    return toGeometry(mesh);
+  }
+
+  // Wavefront OBJ of a mesh from greedy or marchingCubes. Vertex colors follow the positions, an extension
+  // most tools (Blender, MeshLab) read.
+  static toOBJ({ geometry, indices }, name = 'voxels') {
+    const { positions, normals, colors } = geometry;
+    const lines = ['# Voxel mesh', 'o ' + name];
+    for (let i = 0; i < positions.length; i += 3) {
+      const color = colors ? ' ' + [colors[i], colors[i + 1], colors[i + 2]].map(c => c.toFixed(4)).join(' ') : '';
+      lines.push('v ' + positions[i].toFixed(6) + ' ' + positions[i + 1].toFixed(6) + ' ' + positions[i + 2].toFixed(6) + color);
+    }
+    for (let i = 0; i < normals.length; i += 3) {
+      lines.push('vn ' + normals[i].toFixed(4) + ' ' + normals[i + 1].toFixed(4) + ' ' + normals[i + 2].toFixed(4));
+    }
+    // OBJ indices start at 1
+    for (let i = 0; i < indices.length; i += 3) {
+      lines.push('f ' + [indices[i], indices[i + 1], indices[i + 2]].map(index => (index + 1) + '//' + (index + 1)).join(' '));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  _index([x, y, z]) {
+    const [w, h] = this.dimensions;
+    return x + w * (y + h * z);
+  }
+
+  _inside(voxel) {
+    return voxel.every((c, i) => c >= 0 && c < this.dimensions[i]);
+  }
+
+  _filled(voxel) {
+    return this._inside(voxel) && this.voxels[4 * this._index(voxel) + 3] > 0.0;
+  }
+
+  _color(voxel) {
+    if (!this._inside(voxel)) {
+      return [0, 0, 0];
+    }
+    const i = 4 * this._index(voxel);
+    return [this.voxels[i], this.voxels[i + 1], this.voxels[i + 2]];
+  }
+
+  // rgb quantized to 8 bits per channel, clamped to [0, 1]
+  _colorKey(voxel) {
+    const [r, g, b] = this._color(voxel).map(c => Math.round(Math.min(Math.max(c, 0.0), 1.0) * 255));
+    return (r << 16) | (g << 8) | b;
+  }
+
+  _toWorld(voxelPosition) {
+    // Voxel centers sit half a voxel in from their corner
+    return voxelPosition.map((c, i) => this.volumeMin[i] + (c + 0.5) * this.voxelSize);
+  }
+
+  _addQuad(mesh, d, u, v, plane, sign, i, j, width, height, key) {
+    const color = [(key >> 16) & 255, (key >> 8) & 255, key & 255].map(c => c / 255);
+    const normal = [0, 0, 0];
+    normal[d] = sign;
+
+    const corner = (du, dv) => {
+      const p = [0, 0, 0];
+      p[d] = plane;
+      p[u] = i + du;
+      p[v] = j + dv;
+      return p.map((c, axis) => this.volumeMin[axis] + c * this.voxelSize);
+    };
+    const first = addVertex(mesh, corner(0, 0), color, normal);
+    addVertex(mesh, corner(width, 0), color, normal);
+    addVertex(mesh, corner(width, height), color, normal);
+    addVertex(mesh, corner(0, height), color, normal);
+
+    // u x v = d, so this winding faces +d
+    if (sign > 0) {
+      addTriangle(mesh, first, first + 1, first + 2);
+      addTriangle(mesh, first, first + 2, first + 3);
+    } else {
+      addTriangle(mesh, first, first + 2, first + 1);
+      addTriangle(mesh, first, first + 3, first + 2);
+    }
+  }
+
+  _opacityField() {
+    const field = new Float32Array(this.voxels.length / 4);
+    for (let i = 0; i < field.length; i++) {
+      field[i] = Math.min(1.0, this.voxels[4 * i + 3]);
+    }
+    return field;
+  }
+
+  // 3x3x3 box filter, voxels outside the volume count as empty
+  _boxFilter(field) {
+    const [w, h, d] = this.dimensions;
+    let result = field;
+    for (let axis = 0; axis < 3; axis++) {
+      const source = result;
+      result = new Float32Array(field.length);
+      const stride = [1, w, w * h][axis];
+      const size = this.dimensions[axis];
+      for (let z = 0; z < d; z++) {
+        for (let y = 0; y < h; y++) {
+          for (let x = 0; x < w; x++) {
+            const i = x + w * (y + h * z);
+            const c = [x, y, z][axis];
+            const sum = source[i] + (c > 0 ? source[i - stride] : 0.0) + (c + 1 < size ? source[i + stride] : 0.0);
+            result[i] = sum / 3.0;
+          }
+        }
+      }
+    }
+    return result;
+  }
+};
+
+function rowMatches(mask, stride, i, j, width, key) {
+  for (let k = 0; k < width; k++) {
+    if (mask[i + k + stride * j] !== key) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function createMeshData() {
+  return { positions: [], normals: [], colors: [], indices: [] };
+}
+
+function addVertex(mesh, position, color, normal = [0, 0, 0]) {
+  mesh.positions.push(...position);
+  mesh.colors.push(...color);
+  mesh.normals.push(...normal);
+  return mesh.positions.length / 3 - 1;
+}
+
+function addTriangle(mesh, a, b, c) {
+  mesh.indices.push(a, b, c);
+}
+
+// Area weighted average of the normals of the triangles around each vertex
+function computeSmoothNormals(mesh) {
+  const p = mesh.positions;
+  const n = mesh.normals;
+  for (let t = 0; t < mesh.indices.length; t += 3) {
+    const [a, b, c] = [0, 1, 2].map(k => 3 * mesh.indices[t + k]);
+    const e1 = [p[b] - p[a], p[b + 1] - p[a + 1], p[b + 2] - p[a + 2]];
+    const e2 = [p[c] - p[a], p[c + 1] - p[a + 1], p[c + 2] - p[a + 2]];
+    const normal = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+    [a, b, c].forEach(vertex => {
+      n[vertex] += normal[0];
+      n[vertex + 1] += normal[1];
+      n[vertex + 2] += normal[2];
+    });
+  }
+  for (let i = 0; i < n.length; i += 3) {
+    const length = Math.hypot(n[i], n[i + 1], n[i + 2]) || 1.0;
+    n[i] /= length;
+    n[i + 1] /= length;
+    n[i + 2] /= length;
+  }
+}
+
+function toGeometry(mesh) {
+  return {
+    geometry: {
+      positions: mesh.positions,
+      normals: mesh.normals,
+      // Mesh needs uvs, the voxels have none
+      uvs: new Array(2 * (mesh.positions.length / 3)).fill(0.0),
+      colors: mesh.colors,
+    },
+    indices: mesh.indices,
+  };
+}
+
+// Corner i of a cube sits at (i & 1, (i >> 1) & 1, i >> 2), an edge joins two corners one bit apart
+const CUBE_EDGES = [];
+for (let a = 0; a < 8; a++) {
+  for (const bit of [1, 2, 4]) {
+    if (!(a & bit)) {
+      CUBE_EDGES.push([a, a | bit]);
+    }
+  }
+}
+
+// Corners of each face in order around it
+const CUBE_FACES = [
+  [0, 2, 6, 4], [1, 3, 7, 5], // x
+  [0, 1, 5, 4], [2, 3, 7, 6], // y
+  [0, 1, 3, 2], [4, 5, 7, 6], // z
+];
+
+// Polygons of the surface in a cube for each of the 256 cases of filled corners, as loops of edge indices
+// wound counter clockwise seen from the empty side and triangulated as fans, see rotateLoop. Built instead of
+// the usual hand written table: every face pairs up the edges crossed by the surface, the pairs chain into
+// loops through the cube. Faces with filled corners on one diagonal only keep those corners apart, on both
+// sides of the face alike so the surface is closed between cubes.
+const MARCHING_CUBES_CASES = [];
+for (let caseIndex = 0; caseIndex < 256; caseIndex++) {
+  const filled = corner => Boolean(caseIndex & (1 << corner));
+  const edgeIndex = (a, b) => CUBE_EDGES.findIndex(([c0, c1]) => (c0 === a && c1 === b) || (c0 === b && c1 === a));
+
+  // Edges connected through the faces, every crossed edge belongs to two faces
+  const links = new Map();
+  const link = (e0, e1) => {
+    [[e0, e1], [e1, e0]].forEach(([from, to]) => {
+      if (!links.has(from)) {
+        links.set(from, []);
+      }
+      links.get(from).push(to);
+    });
+  };
+  CUBE_FACES.forEach(face => {
+    const crossed = [0, 1, 2, 3].filter(i => filled(face[i]) !== filled(face[(i + 1) % 4]));
+    if (crossed.length === 2) {
+      link(edgeIndex(face[crossed[0]], face[(crossed[0] + 1) % 4]), edgeIndex(face[crossed[1]], face[(crossed[1] + 1) % 4]));
+    } else if (crossed.length === 4) {
+      // Cut off each filled corner with the two edges next to it
+      [0, 1, 2, 3].filter(i => filled(face[i])).forEach(i => {
+        link(edgeIndex(face[(i + 3) % 4], face[i]), edgeIndex(face[i], face[(i + 1) % 4]));
+      });
+    }
+  });
+
+  const loops = [];
+  const visited = new Set();
+  links.forEach((_, start) => {
+    if (visited.has(start)) {
+      return;
+    }
+    const loop = [start];
+    visited.add(start);
+    let previous = -1;
+    let current = start;
+    for (;;) {
+      const next = links.get(current).find(e => e !== previous && !visited.has(e));
+      if (next === undefined) {
+        break;
+      }
+      visited.add(next);
+      loop.push(next);
+      previous = current;
+      current = next;
+    }
+    loops.push(rotateLoop(orientLoop(loop, filled)));
+  });
+  MARCHING_CUBES_CASES.push(loops);
+}
+
+// Whether two edges lie on the same face of the cube
+function shareFace(e0, e1) {
+  const corners = [...CUBE_EDGES[e0], ...CUBE_EDGES[e1]];
+  return CUBE_FACES.some(face => corners.every(corner => face.includes(corner)));
+}
+
+// Rotates the loop so the triangle fan from its first edge works. A fan edge between two edges of one face
+// could be added by the cube on the other side of the face as well, leaving four triangles on one edge.
+// All 256 cases have such a start.
+function rotateLoop(loop) {
+  for (let start = 0; start < loop.length; start++) {
+    const rotated = [...loop.slice(start), ...loop.slice(0, start)];
+    if (!rotated.slice(2, -1).some(edge => shareFace(rotated[0], edge))) {
+      return rotated;
+    }
+  }
+  return loop;
+}
+
+// Flips the loop unless its normal points from the filled to the empty ends of its edges
+function orientLoop(loop, filled) {
+  const midpoint = edge => CUBE_EDGES[edge].reduce((sum, corner) =>
+    [sum[0] + 0.5 * (corner & 1), sum[1] + 0.5 * ((corner >> 1) & 1), sum[2] + 0.5 * (corner >> 2)], [0, 0, 0]);
+  const points = loop.map(midpoint);
+
+  // Newell's method
+  const normal = [0, 0, 0];
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    normal[0] += (p[1] - q[1]) * (p[2] + q[2]);
+    normal[1] += (p[2] - q[2]) * (p[0] + q[0]);
+    normal[2] += (p[0] - q[0]) * (p[1] + q[1]);
+  });
+
+  let outwards = 0.0;
+  loop.forEach(edge => {
+    const [a, b] = CUBE_EDGES[edge];
+    const [from, to] = filled(a) ? [a, b] : [b, a];
+    const direction = [(to & 1) - (from & 1), ((to >> 1) & 1) - ((from >> 1) & 1), (to >> 2) - (from >> 2)];
+    outwards += normal[0] * direction[0] + normal[1] * direction[1] + normal[2] * direction[2];
+  });
+  return outwards >= 0.0 ? loop : loop.slice().reverse();
+}
+
+export default VoxelMesher;
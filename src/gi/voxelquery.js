@@ -0,0 +1,139 @@
+// CPU side occupancy of a voxel volume for gameplay and physics, collision and line of sight checks.
+// A snapshot, VoxelConeTracer.createVoxelQuery reads the volume back again after the scene was revoxelized.
+//
+// grid is { dimensions, voxelSize, volumeMin } and voxels level 0 in the layout of voxelTexture, RGBA floats
+// for hdr and RGBA8 with the shared exponent otherwise, see SoftwareVoxelizer. Voxels with any opacity count.
+class VoxelQuery {
+  constructor(grid, voxels, hdr = true) {
+    this.dimensions = grid.dimensions.slice();
+    this.voxelSize = grid.voxelSize;
+    this.volumeMin = Array.from(grid.volumeMin);
+
+    this.occupancy = new Uint8Array(voxels.length / 4);
+    for (let i = 0; i < this.occupancy.length; i++) {
+      // Packed voxels keep the opacity in the low four bits of alpha
+      const alpha = hdr ? voxels[4 * i + 3] : voxels[4 * i + 3] & 15;
+      this.occupancy[i] = alpha > 0 ? 1 : 0;
+    }
+  }
+
+  // Index of the voxel containing a world position, null outside the volume
+  voxelAt(position) {
+    const voxel = [0, 1, 2].map(i => Math.floor((position[i] - this.volumeMin[i]) / this.voxelSize));
+    return this._inside(voxel) ? voxel : null;
+  }
+
+  isOccupied(position) {
+    const voxel = this.voxelAt(position);
+    return Boolean(voxel) && this._occupied(voxel);
+  }
+
+  // Walks the voxels along the ray (Amanatides and Woo) and returns the first filled one as
+  // { voxel, position, normal, distance }, or null if nothing is hit within maxDistance.
+  // normal is the face the ray entered the voxel through, zero when the ray starts inside it.
+  raycast(origin, direction, maxDistance = Infinity) {
+    const length = Math.hypot(...direction);
+    if (!(length > 0)) {
+      return null;
+    }
+
+    // Voxel space, one unit per voxel
+    const d = direction.map(c => c / length);
+    const p = [0, 1, 2].map(i => (origin[i] - this.volumeMin[i]) / this.voxelSize);
+    const maxT = maxDistance / this.voxelSize;
+
+    // Clip the ray to the volume
+    let t = 0.0;
+    let exit = Infinity;
+    let enterAxis = -1;
+    for (let i = 0; i < 3; i++) {
+      if (d[i] === 0) {
+        if (p[i] < 0 || p[i] >= this.dimensions[i]) {
+          return null;
+        }
+        continue;
+      }
+      let t0 = -p[i] / d[i];
+      let t1 = (this.dimensions[i] - p[i]) / d[i];
+      if (t0 > t1) {
+        [t0, t1] = [t1, t0];
+      }
+      if (t0 > t) {
+        t = t0;
+        enterAxis = i;
+      }
+      exit = Math.min(exit, t1);
+    }
+    if (t > exit || t > maxT) {
+      return null;
+    }
+
+    const start = p.map((c, i) => c + d[i] * t);
+    const voxel = start.map((c, i) => Math.min(this.dimensions[i] - 1, Math.max(0, Math.floor(c))));
+    const step = d.map(Math.sign);
+    const tDelta = d.map(c => Math.abs(1.0 / c));
+    const tMax = [0, 1, 2].map(i =>
+      d[i] === 0 ? Infinity : t + (voxel[i] + (step[i] > 0 ? 1 : 0) - start[i]) / d[i]);
+    const normal = [0, 0, 0];
+    if (enterAxis >= 0) {
+      normal[enterAxis] = -step[enterAxis];
+    }
+
+    for (;;) {
+      if (this._occupied(voxel)) {
+        const distance = t * this.voxelSize;
+        return {
+          voxel,
+          position: origin.map((c, i) => c + d[i] * distance),
+          normal,
+          distance,
+        };
+      }
+
+      const axis = tMax[0] < tMax[1] ? (tMax[0] < tMax[2] ? 0 : 2) : (tMax[1] < tMax[2] ? 1 : 2);
+      t = tMax[axis];
+      voxel[axis] += step[axis];
+      if (t > maxT || voxel[axis] < 0 || voxel[axis] >= this.dimensions[axis]) {
+        return null;
+      }
+      tMax[axis] += tDelta[axis];
+      normal.fill(0);
+      normal[axis] = -step[axis];
+    }
+  }
+
+  // True if no filled voxel lies between the two world positions
+  lineOfSight(from, to) {
+    const direction = [0, 1, 2].map(i => to[i] - from[i]);
+    return !this.raycast(from, direction, Math.hypot(...direction));
+  }
+
+  // Whether any filled voxel overlaps the world space box { min, max }
+  overlapsBox(box) {
+    const lo = [0, 1, 2].map(i => Math.max(0, Math.floor((box.min[i] - this.volumeMin[i]) / this.voxelSize)));
+    const hi = [0, 1, 2].map(i =>
+      Math.min(this.dimensions[i], Math.ceil((box.max[i] - this.volumeMin[i]) / this.voxelSize)));
+
+    for (let z = lo[2]; z < hi[2]; z++) {
+      for (let y = lo[1]; y < hi[1]; y++) {
+        for (let x = lo[0]; x < hi[0]; x++) {
+          if (this._occupied([x, y, z])) {
+            return true;
+          }
+        }
+      }
+    }
+    return false;
+  }
+
+  _inside(voxel) {
+    return voxel.every((v, i) => v >= 0 && v < this.dimensions[i]);
+  }
+
+  _occupied([x, y, z]) {
+    const [w, h] = this.dimensions;
+    return this.occupancy[x + w * (y + h * z)] === 1;
+  }
+};
+
+export default VoxelQuery;
@@ -3,7 +3,7 @@ const dat = require('dat.gui').default;
 class Gui {
   constructor() {
     this._gui = new dat.GUI();
-    //this._lightsFolder = this._gui.addFolder("Lights");
+    this._lightsFolder = this._gui.addFolder("Lights");
     //this.test = {displayBump: true};
     this.displayBump = false;
     this.displaySpecular = false;
@@ -23,12 +23,34 @@ class Gui {
     this.showVoxels = false;
     this.voxelMipmap = 0.0;
     this.voxelDebugStepSize = 5.0;
+    this.voxelizationMode = 'slices';
+    this.voxelDebugVolume = 'radiance';
 
     this.voxelConeStepSize = 0.8;
     this.voxelConeMaxDist = 207.0;
-    this.indirectLightningMultiplier = 25;
+    // Alpha-weighted mips keep the color of the filled voxels instead of darkening it by the empty ones,
+    // so the cones gather more light than with the old mips that 25 was tuned for
+    this.indirectLightningMultiplier = 8;
     this.directLightningMultiplier = 2.0;
     this.specularLightningMultiplier = 1.5;
+
+    // Dynamic voxelization
+    this.dynamicVoxelization = false;
+    this.voxelUpdateInterval = 1;
+    this.voxelTimeBudget = 4.0;
+
+    // Camera centred cascades instead of one volume over the scene
+    this.voxelClipmap = false;
+    this.voxelClipmapLevels = 3;
+    // Directional mips against light leaking through thin walls
+    this.anisotropicVoxels = false;
+    // Light bounced between voxels before cone tracing
+    this.voxelBounces = 0;
+    this.voxelBounceIntensity = 1.0;
+    // Sparse voxel octree instead of a dense volume, ignored with the clipmap
+    this.voxelOctree = false;
+    // Cone trace once per pixel from a G-buffer instead of for every drawn fragment
+    this.deferredRendering = false;
     //this.occlusionMultiplier = 0.6;
 
     this._voxelFolder.add(this, 'indirectLightningMultiplier', 0.0, 200.0).name("Indirect light");
@@ -38,6 +60,16 @@ class Gui {
     this._voxelFolder.add(this, 'voxelConeStepSize', 0.1, 5.0).name("Step Size");
     this._voxelFolder.add(this, 'voxelConeMaxDist', 1.0, 500.0).name("Trace Dist");
     this._voxelFolder.add(this, 'displayOcclusion').name("Show AO");
+    this._dynamicVoxelization = this._voxelFolder.add(this, 'dynamicVoxelization').name("Dynamic");
+    this._voxelFolder.add(this, 'voxelUpdateInterval', 1, 60).step(1).name("Update Interval");
+    this._voxelFolder.add(this, 'voxelTimeBudget', 1.0, 16.0).name("Budget (ms)");
+    this._voxelClipmap = this._voxelFolder.add(this, 'voxelClipmap').name("Clipmap");
+    this._voxelFolder.add(this, 'voxelClipmapLevels', 1, 4).step(1).name("Cascades");
+    this._voxelFolder.add(this, 'anisotropicVoxels').name("Anisotropic");
+    this._voxelFolder.add(this, 'voxelBounces', 0, 4).step(1).name("Bounces");
+    this._voxelFolder.add(this, 'voxelBounceIntensity', 0.0, 5.0).name("Bounce light");
+    this._voxelOctree = this._voxelFolder.add(this, 'voxelOctree').name("Sparse octree");
+    this._voxelFolder.add(this, 'deferredRendering').name("Deferred");
 
     this._useVoxelGI = this._gui.add(this, 'useVoxelGI').name("Voxel GI");
     //this._specularMap = this._gui.add(this, 'displaySpecular').name("Display Specular MAp");
@@ -47,10 +79,46 @@ class Gui {
     this._showVoxels = this._voxelDebugFolder.add(this, 'showVoxels').name("Render Voxels");
     this._voxelMipmap = this._voxelDebugFolder.add(this, 'voxelMipmap', 0.0, 5.0).name("Mip");
     this._voxelDebugStepSize = this._voxelDebugFolder.add(this, 'voxelDebugStepSize', 1.0, 20.0).name("Step Size");
+    this._voxelizationMode = this._voxelDebugFolder.add(this, 'voxelizationMode', { 'Slices': 'slices', 'Dominant Axis': 'dominantAxis' }).name("Voxelization");
+    this._voxelDebugVolume = this._voxelDebugFolder.add(this, 'voxelDebugVolume', { 'Radiance': 'radiance', 'Albedo': 'albedo', 'Normals': 'normal' }).name("Volume");
     this._displayShadowMapTextureQuad = this._gui.add(this, 'displayShadowMapTextureQuad').name("Shadow Map");
+
+    this._dynamicVoxelization.onChange(() => this._updateDynamicVoxelization());
+    this._voxelOctree.onChange(() => this._updateDynamicVoxelization());
+    this._voxelClipmap.onChange(() => this._updateDynamicVoxelization());
+  }
+
+  // The octree is only rebuilt as a whole, dynamic mode is switched off and marked as such while it is used
+  _updateDynamicVoxelization() {
+    const octree = this.voxelOctree && !this.voxelClipmap;
+    if (octree && this.dynamicVoxelization) {
+      this.dynamicVoxelization = false;
+      this._dynamicVoxelization.updateDisplay();
+    }
+    this._dynamicVoxelization.name(octree ? "Dynamic (off with octree)" : "Dynamic");
   }
 
   get lights() { return this._lightsFolder; }
+
+  // The render settings, every public member
+  toJSON() {
+    const settings = {};
+    Object.keys(this).filter(key => !key.startsWith('_')).forEach(key => {
+      settings[key] = this[key];
+    });
+    return settings;
+  }
+
+  // Settings of toJSON, unknown ones are ignored
+  fromJSON(settings) {
+    Object.entries(settings).forEach(([key, value]) => {
+      if (!key.startsWith('_') && Object.prototype.hasOwnProperty.call(this, key)) {
+        this[key] = value;
+      }
+    });
+    this._updateDynamicVoxelization();
+    this._gui.updateDisplay();
+  }
 };
 
 export default Gui;
\ No newline at end of file
@@ -3,6 +3,7 @@ import Cube from './geometry/cube.js';
 import Sphere from './geometry/sphere.js';
 import Scene from './core/scene.js';
 import Mesh from './core/mesh.js';
+import Material from './materials/material.js';
 import PerspectiveCamera from './cameras/perspectivecamera.js';
 import OrthographicCamera from './cameras/orthographiccamera.js';
 import OrbitControls from './cameras/orbitcontrols.js';
@@ -10,7 +11,17 @@ import FlyControls from './cameras/flycontrols.js';
 import PointLight from './lights/pointlight.js';
 import DirectionalLight from './lights/directionallight.js';
 import ObjectLoader from './utils/objectloader.js';
+import GLTFLoader from './utils/gltfloader.js';
 import ResourceLoader from './utils/resourceloader.js';
+import VoxLoader from './utils/voxloader.js';
+import SoftwareVoxelizer from './gi/softwarevoxelizer.js';
+import VoxelQuery from './gi/voxelquery.js';
+import VoxelMesher from './gi/voxelmesher.js';
+import Track from './animation/track.js';
+import AnimationClip from './animation/animationclip.js';
+import Animator from './animation/animator.js';
+import Clock from './animation/clock.js';
+import Skeleton from './animation/skeleton.js';
 
 // TODO: helper function to access vector members. Move this somewhere
 Object.defineProperty(Float32Array.prototype, "x", {
@@ -42,6 +53,7 @@ Object.defineProperty(Float32Array.prototype, "z", {
 
 export {
   ObjectLoader,
+  GLTFLoader,
   Renderer,
   Cube,
   Sphere,
@@ -50,10 +62,18 @@ export {
   Material,
   PerspectiveCamera,
   OrthographicCamera,
-  BasicMaterial,
   OrbitControls,
   FlyControls,
   PointLight,
   DirectionalLight,
-  ResourceLoader
+  ResourceLoader,
+  VoxLoader,
+  SoftwareVoxelizer,
+  VoxelQuery,
+  VoxelMesher,
+  Track,
+  AnimationClip,
+  Animator,
+  Clock,
+  Skeleton
 };
@@ -14,6 +14,8 @@ class DirectionalLight extends Object {
 
     // TODO: vec3
     this.direction = props && vec4.fromValues(props.direction[0], props.direction[1], props.direction[2], props.direction[3]) || [0.0, -20.0, 0.0, 1.0];
+    // direction turned with the entity and its parents, see update
+    this.worldDirection = vec4.clone(this.direction);
 
     if (props.debug) {
       const sphere = new Sphere(3.2, 6);
@@ -43,6 +45,14 @@ class DirectionalLight extends Object {
   set color(value) { this._color = value; }
   set intensity(value) { this._intensity = value; }
 
+  update() {
+    super.update();
+    const length = vec3.length(this.direction);
+    vec4.transformMat4(this.worldDirection, [this.direction[0], this.direction[1], this.direction[2], 0.0], this.modelMatrix);
+    vec3.scale(this.worldDirection, this.worldDirection, length / (vec3.length(this.worldDirection) || 1.0));
+    this.worldDirection[3] = this.direction[3];
+  }
+
   // Debug
   draw(mvp) {
     console.assert(this._debug);
@@ -11,6 +11,7 @@ class PointLight extends Object {
     this._debug = props.debug;
     this._color = props && props.color || [1.0, 1.0, 1.0, 1.0];
     this._intensity = props && props.intensity || 0.5;
+    this._radius = props && props.radius || 1000.0; // falloff reaches zero here
     this._positionViewSpace = vec3.create();
 
     if (props.debug) {
@@ -37,9 +38,11 @@ class PointLight extends Object {
 
   get color() { return this._color; }
   get intensity() { return this._intensity; }
+  get radius() { return this._radius; }
 
   set color(value) { this._color = value; }
   set intensity(value) { this._intensity = value; }
+  set radius(value) { this._radius = value; }
 
   // Debug
   draw(mvp) {
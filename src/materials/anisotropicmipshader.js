@@ -0,0 +1,72 @@
+import { glContext } from '../renderer/renderer.js';
+import { createAndCompileProgram } from '../renderer/renderer_utils.js';
+import { voxelEncoding } from './shaderchunks.js';
+
+// Builds one mip level of a directional voxel volume for anisotropic cone tracing. The 2x2x2 children of
+// a texel are composited front to back along the direction, then the four columns are averaged.
+// hdr: RGBA16F voxels, otherwise RGBA8 with a shared exponent
+class AnisotropicMipShader {
+    constructor(hdr = true) {
+        const vsSource = `#version 300 es
+            precision highp float;
+            layout(location = 0) in vec3 position;
+
+            void main() {
+                gl_Position = vec4(position, 1.0);
+            }
+        `;
+
+        const fsSource = `#version 300 es
+            precision highp float;
+            precision highp int;
+            precision highp sampler3D;
+
+            // The isotropic voxels for the first level, the same direction's previous level after that. Its base
+            // level is the one to read, lods passed to texelFetch and textureSize count from there.
+            uniform sampler3D source;
+            uniform int layer; // z slice of the level we are writing
+            uniform int direction; // the cone travels along +x, -x, +y, -y, +z or -z
+
+            out vec4 outColor;
+            ${voxelEncoding(hdr)}
+            // Premultiplied, voxels store their color unweighted by opacity
+            vec4 fetch(ivec3 p) {
+                // Odd sizes leave the last texel without a partner
+                vec4 color = decodeVoxel(texelFetch(source, min(p, textureSize(source, 0) - 1), 0));
+                return vec4(color.rgb * color.a, color.a);
+            }
+
+            void main() {
+                ivec3 base = 2 * ivec3(ivec2(gl_FragCoord.xy), layer);
+                int axis = direction / 2;
+                ivec3 along = ivec3(equal(ivec3(axis), ivec3(0, 1, 2)));
+                ivec3 u = axis == 0 ? ivec3(0, 1, 0) : ivec3(1, 0, 0);
+                ivec3 v = axis == 2 ? ivec3(0, 1, 0) : ivec3(0, 0, 1);
+
+                // The near child is the one the cone reaches first
+                ivec3 nearOffset = direction % 2 == 0 ? ivec3(0) : along;
+                ivec3 farOffset = along - nearOffset;
+
+                vec4 color = vec4(0.0);
+                for (int i = 0; i < 4; i++) {
+                    ivec3 column = base + (i % 2) * u + (i / 2) * v;
+                    vec4 near = fetch(column + nearOffset);
+                    vec4 far = fetch(column + farOffset);
+                    color += near + (1.0 - near.a) * far;
+                }
+                color *= 0.25;
+                outColor = encodeVoxel(color.a > 0.0 ? vec4(color.rgb / color.a, color.a) : vec4(0.0));
+            }
+    `;
+        const gl = glContext();
+        this.program = createAndCompileProgram(gl, vsSource, fsSource);
+    }
+
+    // Use this program (will always be only this program)
+    activate() {
+        const gl = glContext();
+        gl.useProgram(this.program);
+    }
+}
+
+export default AnisotropicMipShader;
@@ -2,9 +2,14 @@ import { glContext } from '../renderer/renderer.js';
 import { vec4 } from 'gl-matrix';
 import { createAndCompileProgram } from '../renderer/renderer_utils.js';
 import Texture from '../renderer/texture.js';
+import { skinning, pbr, pbrSurface, coneTracing } from './shaderchunks.js';
 
+// cascades: number of clipmap levels to trace through instead of a single voxel volume
+// anisotropic: coarser than the first level, sample six directional volumes weighted by the cone direction
+// hdr: RGBA16F voxels, otherwise RGBA8 with a shared exponent
+// octree: walk a SparseVoxelOctree instead of sampling a voxel volume
 class ConeTracerShader {
-    constructor() {
+    constructor(cascades = 0, anisotropic = false, hdr = true, octree = false) {
         // Create shader based on params
         const vsSource = `#version 300 es
             precision highp float;
@@ -17,6 +22,7 @@ class ConeTracerShader {
             layout(location = 2) in vec2 uv;
             layout(location = 3) in vec3 tangent;
             layout(location = 4) in vec3 bitangent;
+            ${skinning}
 
             layout (std140) uniform modelMatrices {
                 mat4 modelMatrix;
@@ -46,13 +52,17 @@ class ConeTracerShader {
                     0.5, 0.5, 0.5, 1.0
                 );
 
-                position_world = (modelMatrix * vec4(position, 1.0)).xyz;
-                position_depth = biasMatrix * depthMVP * vec4(position, 1.0);
+                // Bind pose to the current pose, identity for meshes without a skeleton
+                mat4 skin = skinMatrix();
+                vec4 skinnedPosition = skin * vec4(position, 1.0);
+
+                position_world = (modelMatrix * skinnedPosition).xyz;
+                position_depth = biasMatrix * depthMVP * skinnedPosition;
 
                 // TODO: why do I need to normalize here? Bump factor too much weight otherwise
-                normal_world = normalize((modelMatrix * vec4(normal,0.0)).xyz);
-                vec3 tangent_world = normalize((modelMatrix * vec4(tangent,0.0)).xyz);
-                vec3 bitangent_world = normalize((modelMatrix * vec4(bitangent,0.0)).xyz);
+                normal_world = normalize((modelMatrix * skin * vec4(normal,0.0)).xyz);
+                vec3 tangent_world = normalize((modelMatrix * skin * vec4(tangent,0.0)).xyz);
+                vec3 bitangent_world = normalize((modelMatrix * skin * vec4(bitangent,0.0)).xyz);
 
                 vUv = uv;
 
@@ -62,7 +72,7 @@ class ConeTracerShader {
                     bitangent_world
                 );
 
-                gl_Position = projectionMatrix * viewMatrix * modelMatrix * vec4(position, 1.0);
+                gl_Position = projectionMatrix * viewMatrix * modelMatrix * skinnedPosition;
             }
         `;
 
@@ -80,6 +90,14 @@ class ConeTracerShader {
                 bool hasNormalMap; // 4 56
                 bool hasSpecularMap; // 4 60
                 bool hasDissolveMap; // 4 64
+                bool hasEmissiveMap; // 4 68
+                float opacity; // 4 72, 1 unless blended
+                vec4 memissive; // 16 80
+                float mmetallic; // 4 96
+                float mroughness; // 4 100
+                float mocclusionStrength; // 4 104
+                bool hasMetallicRoughnessMap; // 4 108
+                bool hasOcclusionMap; // 4 112
             };
 
             layout (std140) uniform sceneBuffer {
@@ -94,12 +112,9 @@ class ConeTracerShader {
             uniform sampler2D specularMap;
             uniform sampler2D dissolveMap;
             uniform sampler2DShadow shadowMap;
-            uniform sampler3D voxelTexture;
-
-            uniform float sceneScaleInv;
-            uniform float voxelWorldSize;
-            uniform float voxelWorldSizeInv;
-            
+            uniform sampler2D emissiveMap;
+            uniform sampler2D metallicRoughnessMap;
+            uniform sampler2D occlusionMap;
             uniform vec3 camera_world;
 
             in vec2 vUv;
@@ -111,18 +126,6 @@ class ConeTracerShader {
 
             out vec4 outColor;
 
-
-            const int NUM_CONES = 6;
-            vec3 coneDirections[6] = vec3[](
-                                        vec3(0, 1, 0),
-                                        vec3(0, 0.5, 0.866025),
-                                        vec3(0.823639, 0.5, 0.267617),
-                                        vec3(0.509037, 0.5, -0.700629),
-                                        vec3(-0.509037, 0.5, -0.700629),
-                                        vec3(-0.823639, 0.5, 0.267617)
-                                        );
-            float coneWeights[6] = float[](0.25, 0.15, 0.15, 0.15, 0.15, 0.15);
-
             layout (std140) uniform guiDataBuffer {
                 float bumpIntensity;
                 float indirectMultiplier;
@@ -135,8 +138,6 @@ class ConeTracerShader {
                 bool displayOcclusion;
             };
 
-            vec3 scaleAndBias(vec3 p) { return 0.5 * p + vec3(0.5); }
-
             vec3 calculateBumpNormal() {
                 vec3 bn = texture(bumpMap, vec2(vUv.x, 1.0 - vUv.y)).rgb * 2.0 - 1.0;
                 bn.x *= bumpIntensity;
@@ -144,43 +145,9 @@ class ConeTracerShader {
                 return normalize(tangentToWorld * vec3(bn.x, 1.0, bn.y));
             }
 
-            vec4 sampleVoxels(vec3 worldPosition, float mip) {
-                return textureLod(voxelTexture, scaleAndBias(worldPosition / 3000.0), mip);
-            }
-
-            vec4 coneTrace(vec3 direction, float aperture, out float occlusion) {
-                vec3 color = vec3(0.0);
-                float alpha = 0.0;
-                occlusion = 0.0;
-
-                float dist = voxelWorldSize; // Start one voxel away to avoid self occlusion
-                vec3 startPos = position_world + normal_world * voxelWorldSize;
-                float maxDistance = voxelConeMaxDist * voxelWorldSize;
-                int count = 0;
-
-                // Accumulate lightning in voxel direction
-                while (dist < maxDistance && alpha < 0.95) {
-                    // smallest sample diameter possible is the voxel size
-                    float diameter = max(voxelWorldSize, 2.0 * aperture * dist);
-                    float mip = log2(diameter * voxelWorldSizeInv);
-
-                    vec3 worldPosition = startPos + dist * direction;
-                    vec4 voxelColor = textureLod(voxelTexture, scaleAndBias(worldPosition * sceneScaleInv), mip);
-
-                    // if (voxelColor.a > 0.0) {
-                        // front-to-back compositing
-                        float a = (1.0 - alpha);
-                        color = color + a * voxelColor.rgb;
-                        alpha = alpha + a * voxelColor.a;
-                        occlusion = occlusion + a * voxelColor.a;
-                    //}
-
-                    // step along the ray
-                    dist = dist + diameter * voxelConeStepSize;
-                }
-
-                return vec4(color, alpha);
-            }
+            ${pbr}
+            ${coneTracing(cascades, anisotropic, hdr, octree)}
+            ${pbrSurface}
 
             void main() {
                 if (hasDissolveMap) {
@@ -189,59 +156,29 @@ class ConeTracerShader {
                     }
                 }
 
-                vec4 materialColor = vec4(0.0);
-                float alpha = 1.0;
-                if (hasDiffuseMap) {
-                    materialColor = texture(textureMap, vec2(vUv.x, 1.0 - vUv.y));
-                    alpha = materialColor.a;
-                }
-                float occlusion = 0.0;
+                vec4 baseColor;
+                float metallic;
+                float roughness;
+                float materialOcclusion;
+                surface(vec2(vUv.x, 1.0 - vUv.y), baseColor, metallic, roughness, materialOcclusion);
+                float alpha = baseColor.a;
 
                 vec3 N = hasNormalMap ? calculateBumpNormal() : normalize(normal_world.xyz);
                 vec3 L = normalize(directional_world);
-                vec3 E = -normalize(camera_world - position_world);
+                vec3 V = normalize(camera_world - position_world);
 
                 float visibility = texture(shadowMap, vec3(position_depth.xy, (position_depth.z - 0.0005)/position_depth.w));
 
-                // Direct + indirect lightning
-                vec3 diffuseReflection = vec3(0.0);
-                {
-                    // Direct diffuse light
-                    float cosTheta = max(0.0, dot(N, L));
-                    vec3 directDiffuseLight = directMultiplier * vec3(visibility * cosTheta);
-
-                    // Indirect lightning
-                    vec4 indirectDiffuseLight;
-                    for (int i = 0; i < NUM_CONES; i++) {
-                        float tmpocc = 0.0;
-                        // 60 degree cones -> tan(30) = 0.577
-                        indirectDiffuseLight = indirectDiffuseLight + coneWeights[i] * coneTrace(tangentToWorld * coneDirections[i], 0.577, tmpocc);
-                        occlusion = occlusion + coneWeights[i] * tmpocc;
-                    }
-
-                    indirectDiffuseLight = indirectMultiplier * indirectDiffuseLight;
-
-                    occlusion = 1.0 - occlusion;
-                    diffuseReflection = occlusion * (directDiffuseLight + indirectDiffuseLight.xyz) * materialColor.rgb;
-                }
+                // Direct light
+                vec3 directLight = directMultiplier * visibility * directBRDF(N, V, L, baseColor.rgb, metallic, roughness);
 
-                // Specular light
-                vec3 specularReflection = vec3(0.0);
-
-                if (hasSpecularMap)  {
-                    {
-                        vec4 specularColor = vec4(1.0);
-                        specularColor = texture(specularMap, vec2(vUv.x, 1.0 - vUv.y));
-                        specularColor = length(specularColor.gb) > 0.0 ? specularColor : specularColor.rrra;
-                        //specularColor = vec4(spec, spec, spec, 1.0);
-                        vec3 reflectDir = normalize(E - 2.0 * dot(E, N) * N);
-
-                        // Trace single cone
-                        float specularOcclusion = 0.0;
-                        vec4 tracedSpecular = coneTrace(reflectDir, 0.07, specularOcclusion); // 0.07 = tan(8)
-                        specularReflection = specularMultiplier  * specularColor.rgb * tracedSpecular.rgb;
-                    }
+                float occlusion;
+                vec3 indirect = indirectLight(position_world + normal_world * voxelWorldSize, tangentToWorld, N, V,
+                    baseColor.rgb, metallic, roughness, materialOcclusion, occlusion);
 
+                vec3 emission = memissive.rgb;
+                if (hasEmissiveMap) {
+                    emission *= texture(emissiveMap, vec2(vUv.x, 1.0 - vUv.y)).rgb;
                 }
 
                 if (displayNormalMap && hasNormalMap) {
@@ -249,7 +186,7 @@ class ConeTracerShader {
                 } else if (displayOcclusion) {
                     outColor = vec4(occlusion, occlusion, occlusion, 1.0);
                 } else {
-                    outColor = vec4(diffuseReflection + specularReflection, alpha);
+                    outColor = vec4(directLight + indirect + emission, alpha * opacity);
                 }
             }
     `;
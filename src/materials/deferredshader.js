@@ -0,0 +1,133 @@
+import { glContext } from '../renderer/renderer.js';
+import { createAndCompileProgram } from '../renderer/renderer_utils.js';
+import { pbr, coneTracing } from './shaderchunks.js';
+
+// Lights the G-buffer of GBufferShader on a full screen Quad, once per pixel instead of once per drawn fragment.
+// Pixels of cone traced materials get the same light as ConeTracerShader, the others the direct light of
+// StandardShader. Writes the depth of the G-buffer so blended meshes drawn afterwards are hidden behind it.
+// cascades, anisotropic, hdr and octree select the voxel storage like for ConeTracerShader.
+class DeferredShader {
+    constructor(cascades = 0, anisotropic = false, hdr = true, octree = false) {
+        const vsSource = `#version 300 es
+            precision highp float;
+            layout(location = 0) in vec3 position;
+
+            out vec2 vUv;
+
+            void main() {
+                gl_Position = vec4(position, 1.0);
+                vUv = position.xy * 0.5 + 0.5;
+            }
+        `;
+
+        const fsSource = `#version 300 es
+            precision highp float;
+            precision highp sampler2D; // positions are rebuilt from depthBuffer
+            precision highp sampler3D;
+            precision highp sampler2DShadow;
+
+            layout (std140) uniform sceneBuffer {
+                mat4 viewMatrix;
+                mat4 projectionMatrix;
+                mat4 depthMVP;
+                vec3 directional_world;
+            };
+
+            layout (std140) uniform guiDataBuffer {
+                float bumpIntensity;
+                float indirectMultiplier;
+                float directMultiplier;
+                float specularMultiplier;
+                float occlusionMultiplier;
+                float voxelConeStepSize;
+                float voxelConeMaxDist;
+                bool displayNormalMap;
+                bool displayOcclusion;
+            };
+
+            uniform sampler2D albedoBuffer;
+            uniform sampler2D normalBuffer;
+            uniform sampler2D surfaceBuffer;
+            uniform sampler2D emissiveBuffer;
+            uniform sampler2D depthBuffer;
+            uniform sampler2DShadow shadowMap;
+
+            uniform mat4 inverseViewProjection;
+            uniform vec3 camera_world;
+
+            in vec2 vUv;
+
+            out vec4 outColor;
+
+            mat4 biasMatrix = mat4(
+                0.5, 0.0, 0.0, 0.0,
+                0.0, 0.5, 0.0, 0.0,
+                0.0, 0.0, 0.5, 0.0,
+                0.5, 0.5, 0.5, 1.0
+            );
+
+            ${pbr}
+            ${coneTracing(cascades, anisotropic, hdr, octree)}
+
+            // The diffuse cones around N, any tangent will do
+            mat3 coneBasis(vec3 N) {
+                vec3 up = abs(N.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+                vec3 tangent = normalize(cross(up, N));
+                return mat3(tangent, N, cross(N, tangent));
+            }
+
+            void main() {
+                float depth = texture(depthBuffer, vUv).r;
+                // Nothing was drawn here, the clear color stays
+                if (depth == 1.0) {
+                    discard;
+                }
+                gl_FragDepth = depth;
+
+                vec4 position = inverseViewProjection * vec4(vec3(vUv, depth) * 2.0 - 1.0, 1.0);
+                vec3 position_world = position.xyz / position.w;
+                vec4 position_depth = biasMatrix * depthMVP * vec4(position_world, 1.0);
+
+                vec3 baseColor = texture(albedoBuffer, vUv).rgb;
+                vec4 surface = texture(surfaceBuffer, vUv);
+                float metallic = surface.r;
+                float roughness = surface.g;
+                float materialOcclusion = surface.b;
+                vec3 emission = texture(emissiveBuffer, vUv).rgb;
+
+                vec3 N = normalize(texture(normalBuffer, vUv).xyz * 2.0 - 1.0);
+                vec3 L = normalize(directional_world);
+                vec3 V = normalize(camera_world - position_world);
+
+                float visibility = texture(shadowMap, vec3(position_depth.xy, (position_depth.z - 0.0005) / position_depth.w));
+
+                if (surface.a < 0.5) {
+                    outColor = vec4(2.0 * visibility * directBRDF(N, V, L, baseColor, metallic, roughness) + emission, 1.0);
+                    return;
+                }
+
+                vec3 directLight = directMultiplier * visibility * directBRDF(N, V, L, baseColor, metallic, roughness);
+
+                float occlusion;
+                vec3 indirect = indirectLight(position_world + N * voxelWorldSize, coneBasis(N), N, V,
+                    baseColor, metallic, roughness, materialOcclusion, occlusion);
+
+                if (displayOcclusion) {
+                    outColor = vec4(occlusion, occlusion, occlusion, 1.0);
+                } else {
+                    outColor = vec4(directLight + indirect + emission, 1.0);
+                }
+            }
+    `;
+        const gl = glContext();
+        this.program = createAndCompileProgram(gl, vsSource, fsSource);
+    }
+
+    // Use this program (will always be only this program)
+    activate() {
+        const gl = glContext();
+        gl.useProgram(this.program);
+    }
+}
+
+export default DeferredShader;
@@ -0,0 +1,157 @@
+import { glContext } from '../renderer/renderer.js';
+import { createAndCompileProgram } from '../renderer/renderer_utils.js';
+import { skinning, pbrSurface } from './shaderchunks.js';
+
+// Writes the surfaces of opaque and masked meshes to the G-buffer of the deferred path, DeferredShader lights them.
+// Depth goes to the depth attachment and the four color attachments get
+// 0: base color, 1: normal as n * 0.5 + 0.5, 2: metallic, roughness, occlusion and 1 where the material is cone
+// traced, 3: emission.
+class GBufferShader {
+    constructor() {
+        const vsSource = `#version 300 es
+            precision highp float;
+
+            layout(location = 0) in vec3 position;
+            layout(location = 1) in vec3 normal;
+            layout(location = 2) in vec2 uv;
+            layout(location = 3) in vec3 tangent;
+            layout(location = 4) in vec3 bitangent;
+            ${skinning}
+
+            layout (std140) uniform modelMatrices {
+                mat4 modelMatrix;
+                mat4 normalMatrix;
+            };
+
+            layout (std140) uniform sceneBuffer {
+                mat4 viewMatrix;
+                mat4 projectionMatrix;
+                mat4 depthMVP;
+                vec3 directional_world;
+            };
+
+            out vec2 vUv;
+            out vec3 normal_world;
+            out mat3 tangentToWorld;
+
+            void main() {
+                // Bind pose to the current pose, identity for meshes without a skeleton
+                mat4 skin = skinMatrix();
+                vec4 skinnedPosition = skin * vec4(position, 1.0);
+
+                normal_world = normalize((modelMatrix * skin * vec4(normal,0.0)).xyz);
+                vec3 tangent_world = normalize((modelMatrix * skin * vec4(tangent,0.0)).xyz);
+                vec3 bitangent_world = normalize((modelMatrix * skin * vec4(bitangent,0.0)).xyz);
+
+                vUv = uv;
+
+                tangentToWorld = mat3(
+                    tangent_world,
+                    normal_world,
+                    bitangent_world
+                );
+
+                gl_Position = projectionMatrix * viewMatrix * modelMatrix * skinnedPosition;
+            }
+        `;
+
+        const fsSource = `#version 300 es
+            precision highp float;
+
+            layout (std140) uniform materialBuffer {
+                vec4 mambient; // 16 0 - base | aligned offset
+                vec4 mdiffuse; // 16 16
+                vec4 mspecular; // 16 32
+                float specularExponent; // 4 48
+                bool hasDiffuseMap; // 4 52
+                bool hasNormalMap; // 4 56
+                bool hasSpecularMap; // 4 60
+                bool hasDissolveMap; // 4 64
+                bool hasEmissiveMap; // 4 68
+                float opacity; // 4 72, 1 unless blended
+                vec4 memissive; // 16 80
+                float mmetallic; // 4 96
+                float mroughness; // 4 100
+                float mocclusionStrength; // 4 104
+                bool hasMetallicRoughnessMap; // 4 108
+                bool hasOcclusionMap; // 4 112
+            };
+
+            layout (std140) uniform guiDataBuffer {
+                float bumpIntensity;
+                float indirectMultiplier;
+                float directMultiplier;
+                float specularMultiplier;
+                float occlusionMultiplier;
+                float voxelConeStepSize;
+                float voxelConeMaxDist;
+                bool displayNormalMap;
+                bool displayOcclusion;
+            };
+
+            uniform sampler2D textureMap;
+            uniform sampler2D bumpMap;
+            uniform sampler2D specularMap;
+            uniform sampler2D dissolveMap;
+            uniform sampler2D emissiveMap;
+            uniform sampler2D metallicRoughnessMap;
+            uniform sampler2D occlusionMap;
+
+            uniform bool coneTraced; // Material.LIT, otherwise lit like StandardShader
+
+            in vec2 vUv;
+            in vec3 normal_world;
+            in mat3 tangentToWorld;
+
+            layout(location = 0) out vec4 albedoLayer;
+            layout(location = 1) out vec4 normalLayer;
+            layout(location = 2) out vec4 surfaceLayer;
+            layout(location = 3) out vec4 emissiveLayer;
+
+            vec3 calculateBumpNormal() {
+                vec3 bn = texture(bumpMap, vec2(vUv.x, 1.0 - vUv.y)).rgb * 2.0 - 1.0;
+                bn.x *= bumpIntensity;
+                bn.y *= bumpIntensity;
+                return normalize(tangentToWorld * vec3(bn.x, 1.0, bn.y));
+            }
+
+            ${pbrSurface}
+
+            void main() {
+                if (hasDissolveMap) {
+                    if (texture(dissolveMap, vec2(vUv.x, 1.0 - vUv.y)).r  < 0.1) {
+                        discard;
+                    }
+                }
+
+                vec4 baseColor;
+                float metallic;
+                float roughness;
+                float occlusion;
+                surface(vec2(vUv.x, 1.0 - vUv.y), baseColor, metallic, roughness, occlusion);
+
+                vec3 N = hasNormalMap ? calculateBumpNormal() : normalize(normal_world.xyz);
+
+                vec3 emission = memissive.rgb;
+                if (hasEmissiveMap) {
+                    emission *= texture(emissiveMap, vec2(vUv.x, 1.0 - vUv.y)).rgb;
+                }
+
+                albedoLayer = vec4(baseColor.rgb, 1.0);
+                normalLayer = vec4(N * 0.5 + 0.5, 1.0);
+                surfaceLayer = vec4(metallic, roughness, occlusion, coneTraced ? 1.0 : 0.0);
+                emissiveLayer = vec4(emission, 1.0);
+            }
+    `;
+        const gl = glContext();
+        this.program = createAndCompileProgram(gl, vsSource, fsSource);
+    }
+
+    // Use this program (will always be only this program)
+    activate() {
+        const gl = glContext();
+        gl.useProgram(this.program);
+    }
+}
+
+export default GBufferShader;
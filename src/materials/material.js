@@ -0,0 +1,190 @@
+import { vec3 } from 'gl-matrix';
+import { glContext } from '../renderer/renderer.js';
+import Texture from '../renderer/texture.js';
+
+// Surface of a Mesh, any number of meshes can share one. params are the material dictionaries of the loaders,
+// an MTL material of ObjectLoader or one of GLTFLoader, e.g. new Material(model.materialData.materialsByIndex[i]).
+// Colors are rgb arrays, textures are created from the { texture: Image } of mapDiffuse, mapBump, mapSpecular,
+// mapDissolve, mapEmissive, mapMetallicRoughness and mapOcclusion.
+//
+// Shading is metallic-roughness, diffuse is the base color and multiplies the diffuse map. MTL materials have no
+// roughness, it comes from the specular exponent Ns instead and their specular map makes them smoother where it is
+// bright. Their diffuse map is used as is, without Kd.
+//
+// blending: OPAQUE, MASK cuts away where the dissolve map is dark, the default with a dissolve map, and BLEND mixes
+// with what is behind by opacity and the alpha of the diffuse map. doubleSided turns off back face culling.
+// shader: LIT is cone traced while voxel GI is on and lit directly otherwise, STANDARD is always lit directly.
+class Material {
+  constructor(params = {}) {
+    Object.entries(DEFAULTS).forEach(([key, value]) => {
+      this[key] = copy(params[key] !== undefined ? params[key] : value);
+    });
+    // MTL has d and Ns, and its diffuse map replaces Kd where glTF multiplies the base color by its texture
+    if (params.opacity === undefined && params.dissolve !== undefined) {
+      this.opacity = params.dissolve;
+    }
+    if (params.roughness === undefined && params.specularExponent !== undefined) {
+      this.roughness = roughnessFromExponent(params.specularExponent);
+      if (params.mapDiffuse && params.mapDiffuse.texture) {
+        this.diffuse = [1.0, 1.0, 1.0];
+      }
+    }
+
+    this.diffuseMap = createMap(params.mapDiffuse);
+    this.bumpMap = createMap(params.mapBump);
+    this.specularMap = createMap(params.mapSpecular);
+    this.dissolveMap = createMap(params.mapDissolve);
+    this.emissiveMap = createMap(params.mapEmissive);
+    this.metallicRoughnessMap = createMap(params.mapMetallicRoughness); // roughness in green, metallic in blue
+    this.occlusionMap = createMap(params.mapOcclusion); // red
+
+    if (params.blending === undefined && this.dissolveMap) {
+      this.blending = Material.MASK;
+    }
+  }
+
+  // The materialBuffer block of the shaders, std140. New parameters go here and in DEFAULTS.
+  uniformData() {
+    return [
+      ...this.ambient, 0.0, // vec3 16  0
+      ...this.diffuse, 0.0, // vec3 16  16
+      ...this.specular, 0.0, // vec3 16  32
+      this.specularExponent, // 4 48
+      Boolean(this.diffuseMap), // 4 52
+      Boolean(this.bumpMap), // 4 56
+      Boolean(this.specularMap), // 4 60
+      Boolean(this.dissolveMap) && this.blending === Material.MASK, // 4 64
+      Boolean(this.emissiveMap), // 4 68
+      this.blending === Material.BLEND ? this.opacity : 1.0, // 4 72
+      0.0,
+      ...this.emissive, 0.0, // vec3 16 80
+      this.metallic, // 4 96
+      this.roughness, // 4 100
+      this.occlusionStrength, // 4 104
+      Boolean(this.metallicRoughnessMap), // 4 108
+      Boolean(this.occlusionMap), // 4 112
+    ];
+  }
+
+  bindTextures(program) {
+    const gl = glContext();
+    // Units 4 to 11 hold the shadow map and voxel textures
+    [
+      [this.diffuseMap, 'textureMap', 0],
+      [this.bumpMap, 'bumpMap', 1],
+      [this.specularMap, 'specularMap', 2],
+      [this.dissolveMap, 'dissolveMap', 3],
+      [this.emissiveMap, 'emissiveMap', 12],
+      [this.metallicRoughnessMap, 'metallicRoughnessMap', 13],
+      [this.occlusionMap, 'occlusionMap', 14],
+    ].forEach(([map, sampler, unit]) => {
+      if (map) {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        map.bind();
+        gl.uniform1i(gl.getUniformLocation(program, sampler), unit);
+      }
+    });
+  }
+
+  // Culling and blending while drawing to the screen, resetRenderState puts back what Renderer.render sets up
+  applyRenderState() {
+    const gl = glContext();
+    if (this.doubleSided) {
+      gl.disable(gl.CULL_FACE);
+    }
+    if (this.blending === Material.BLEND) {
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+      gl.depthMask(false);
+    }
+  }
+
+  resetRenderState() {
+    const gl = glContext();
+    if (this.doubleSided) {
+      gl.enable(gl.CULL_FACE);
+    }
+    if (this.blending === Material.BLEND) {
+      gl.disable(gl.BLEND);
+      gl.depthMask(true);
+    }
+  }
+
+  // Parameters without the textures, for Scene.toJSON
+  toJSON() {
+    const json = {};
+    Object.keys(DEFAULTS).forEach(key => {
+      json[key] = copy(this[key]);
+    });
+    return json;
+  }
+
+  // Sets the parameters in json, unknown ones are ignored
+  fromJSON(json) {
+    Object.keys(DEFAULTS).forEach(key => {
+      if (json[key] !== undefined) {
+        this[key] = copy(json[key]);
+      }
+    });
+  }
+
+  // Opaque and masked meshes first, blended ones after them from back to front as seen from position
+  static drawOrder(meshes, position) {
+    const blended = mesh => mesh.material.blending === Material.BLEND;
+    // Measured to the centre of the world bounds, OBJ meshes all sit at the origin with world space vertices
+    const distances = new Map(meshes.filter(blended).map(mesh => {
+      const { min, max } = mesh.worldBoundingBox();
+      const center = vec3.create();
+      vec3.lerp(center, min, max, 0.5);
+      return [mesh, vec3.squaredDistance(position, center)];
+    }));
+    return meshes.filter(mesh => !blended(mesh))
+      .concat(meshes.filter(blended).sort((a, b) => distances.get(b) - distances.get(a)));
+  }
+};
+
+Material.OPAQUE = 'opaque';
+Material.MASK = 'mask';
+Material.BLEND = 'blend';
+
+Material.LIT = 'lit';
+Material.STANDARD = 'standard';
+
+// Every parameter besides the textures, with its default
+const DEFAULTS = {
+  name: '',
+  ambient: [0.0, 0.0, 0.0],
+  diffuse: [1.0, 1.0, 1.0],
+  specular: [0.0, 0.0, 0.0],
+  specularExponent: 1.0,
+  emissive: [0.0, 0.0, 0.0],
+  opacity: 1.0,
+  metallic: 0.0,
+  roughness: 1.0,
+  occlusionStrength: 1.0,
+  blending: Material.OPAQUE,
+  doubleSided: false,
+  shader: Material.LIT,
+};
+
+// Inverse of the Blinn-Phong exponent 2 / a^2 - 2 of a GGX surface with a = roughness^2
+function roughnessFromExponent(exponent) {
+  return Math.pow(2.0 / (Math.max(exponent, 0.0) + 2.0), 0.25);
+}
+
+// Colors aren't shared with the params
+function copy(value) {
+  return Array.isArray(value) || ArrayBuffer.isView(value) ? Array.from(value) : value;
+}
+
+// Null unless the map has its image
+function createMap(map) {
+  if (!map || !map.texture) {
+    return null;
+  }
+  const texture = new Texture();
+  texture.createTexture(map.texture);
+  return texture;
+}
+
+export default Material;
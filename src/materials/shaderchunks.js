@@ -0,0 +1,336 @@
+// GLSL shared between shaders, pasted into their sources
+
+// Voxel radiance goes through encodeVoxel before it is written and decodeVoxel after it is read.
+// hdr: RGBA16F volumes, stored as is. Otherwise RGBA8 with a shared exponent, rgb is scaled down by 2^e
+// and alpha holds e in its high four bits and the opacity in the low four.
+export function voxelEncoding(hdr) {
+    return hdr ? `
+            vec4 encodeVoxel(vec4 color) { return color; }
+            vec4 decodeVoxel(vec4 texel) { return texel; }
+    ` : `
+            vec4 encodeVoxel(vec4 color) {
+                float maxComponent = max(max(color.r, color.g), color.b);
+                float exponent = clamp(ceil(log2(max(maxComponent, 1.0))), 0.0, 15.0);
+                float opacity = floor(clamp(color.a, 0.0, 1.0) * 15.0 + 0.5);
+                return vec4(color.rgb / exp2(exponent), (exponent * 16.0 + opacity) / 255.0);
+            }
+
+            vec4 decodeVoxel(vec4 texel) {
+                float bits = floor(texel.a * 255.0 + 0.5);
+                float exponent = floor(bits / 16.0);
+                float opacity = bits - exponent * 16.0;
+                return vec4(texel.rgb * exp2(exponent), opacity / 15.0);
+            }
+    `;
+}
+
+// Vertex skinning, see Skeleton. joints and weights are attributes 5 and 6, boneMatrices holds Skeleton.MAX_JOINTS
+// matrices. skinMatrix() goes from the bind pose to the current pose in mesh space, apply it before modelMatrix.
+export const skinning = `
+            layout(location = 5) in vec4 joints;
+            layout(location = 6) in vec4 weights;
+
+            layout (std140) uniform skinBuffer {
+                mat4 boneMatrices[128];
+            };
+
+            uniform bool skinned;
+
+            mat4 skinMatrix() {
+                if (!skinned) {
+                    return mat4(1.0);
+                }
+                return weights.x * boneMatrices[int(joints.x)] +
+                    weights.y * boneMatrices[int(joints.y)] +
+                    weights.z * boneMatrices[int(joints.z)] +
+                    weights.w * boneMatrices[int(joints.w)];
+            }
+`;
+
+// Metallic-roughness shading, https://learnopengl.com/PBR/Theory. GGX distribution, Smith-Schlick geometry and
+// Schlick's Fresnel. directBRDF is scaled by pi so a light of intensity 1 on a white Lambert surface gives white
+// like before. N, V and L point away from the surface.
+export const pbr = `
+            const float PI = 3.14159265;
+
+            float distributionGGX(float NdotH, float roughness) {
+                float a = roughness * roughness;
+                float a2 = a * a;
+                float d = NdotH * NdotH * (a2 - 1.0) + 1.0;
+                return a2 / (PI * d * d);
+            }
+
+            float geometrySmith(float NdotV, float NdotL, float roughness) {
+                float k = (roughness + 1.0) * (roughness + 1.0) / 8.0;
+                return NdotV / (NdotV * (1.0 - k) + k) * NdotL / (NdotL * (1.0 - k) + k);
+            }
+
+            vec3 fresnelSchlick(float cosTheta, vec3 F0) {
+                return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
+            }
+
+            // For light from every direction, rough surfaces reflect less at grazing angles
+            vec3 fresnelSchlickRoughness(float cosTheta, vec3 F0, float roughness) {
+                return F0 + (max(vec3(1.0 - roughness), F0) - F0) * pow(1.0 - cosTheta, 5.0);
+            }
+
+            // Dielectrics reflect 4%, metals their base color
+            vec3 reflectance(vec3 baseColor, float metallic) {
+                return mix(vec3(0.04), baseColor, metallic);
+            }
+
+            vec3 directBRDF(vec3 N, vec3 V, vec3 L, vec3 baseColor, float metallic, float roughness) {
+                vec3 H = normalize(V + L);
+                float NdotL = max(dot(N, L), 0.0);
+                float NdotV = max(dot(N, V), 0.0001);
+                float NdotH = max(dot(N, H), 0.0);
+
+                vec3 F = fresnelSchlick(max(dot(H, V), 0.0), reflectance(baseColor, metallic));
+                vec3 specular = distributionGGX(NdotH, roughness) * geometrySmith(NdotV, NdotL, roughness) * F /
+                    (4.0 * NdotV * NdotL + 0.0001);
+                vec3 diffuse = (1.0 - F) * (1.0 - metallic) * baseColor / PI;
+                return PI * (diffuse + specular) * NdotL;
+            }
+`;
+
+// Base color, metallic, roughness and occlusion of the material at uv, for shaders with the materialBuffer and the
+// maps of Material. Legacy materials without a metallic-roughness map get smoother where their specular map is bright.
+export const pbrSurface = `
+            void surface(vec2 uv, out vec4 baseColor, out float metallic, out float roughness, out float occlusion) {
+                baseColor = vec4(mdiffuse.rgb, 1.0);
+                if (hasDiffuseMap) {
+                    baseColor *= texture(textureMap, uv);
+                }
+
+                metallic = mmetallic;
+                roughness = mroughness;
+                if (hasMetallicRoughnessMap) {
+                    vec4 metallicRoughness = texture(metallicRoughnessMap, uv);
+                    roughness *= metallicRoughness.g;
+                    metallic *= metallicRoughness.b;
+                } else if (hasSpecularMap) {
+                    vec3 specular = texture(specularMap, uv).rgb;
+                    roughness = mix(1.0, roughness, max(specular.r, max(specular.g, specular.b)));
+                }
+                // A perfect mirror would collapse the highlight to nothing
+                roughness = clamp(roughness, 0.03, 1.0);
+
+                occlusion = 1.0;
+                if (hasOcclusionMap) {
+                    occlusion = mix(1.0, texture(occlusionMap, uv).r, mocclusionStrength);
+                }
+            }
+`;
+
+// Voxel cone tracing, for shaders with the guiDataBuffer and the pbr chunk. Declares the voxel uniforms
+// VoxelConeTracer uploads, see ConeTracerShader for what cascades, anisotropic, hdr and octree select.
+// coneTrace marches a cone from origin, indirectLight traces the diffuse and specular cones of a surface.
+export function coneTracing(cascades, anisotropic, hdr, octree) {
+    return `
+            ${cascades ? `
+            ${[...Array(cascades).keys()].map(i => `uniform sampler3D voxelCascade${i};`).join('\n            ')}
+
+            // Cascade i covers clipmapExtent * 2^i centred around the camera, voxelWorldSize is the finest voxel
+            uniform int cascadeCount;
+            uniform float clipmapExtent;
+            uniform vec3 cascadeMin[${cascades}];` : `${octree ? `
+            // See SparseVoxelOctree, the octree cube starts at volumeMin
+            uniform highp isampler2D octreeNodes;
+            uniform sampler3D octreeBricks;
+            uniform int octreeDepth; // of the leaves
+            uniform int nodeTextureWidth;
+            uniform ivec3 brickPool;
+            uniform float brickSize; // without the border of the stored bricks` : `
+            uniform sampler3D voxelTexture;`}
+
+            uniform vec3 volumeMin;
+            uniform vec3 volumeSizeInv;`}
+            ${anisotropic ? `
+            // Half the resolution of voxelTexture, level 0 is the first mip
+            uniform sampler3D voxelPosX;
+            uniform sampler3D voxelNegX;
+            uniform sampler3D voxelPosY;
+            uniform sampler3D voxelNegY;
+            uniform sampler3D voxelPosZ;
+            uniform sampler3D voxelNegZ;
+            uniform vec3 anisotropicScale; // odd sizes round up, so the volumes reach a bit further` : ''}
+            uniform float voxelWorldSize;
+            uniform float voxelWorldSizeInv;
+
+            const int NUM_CONES = 6;
+            vec3 coneDirections[6] = vec3[](
+                                        vec3(0, 1, 0),
+                                        vec3(0, 0.5, 0.866025),
+                                        vec3(0.823639, 0.5, 0.267617),
+                                        vec3(0.509037, 0.5, -0.700629),
+                                        vec3(-0.509037, 0.5, -0.700629),
+                                        vec3(-0.823639, 0.5, 0.267617)
+                                        );
+            float coneWeights[6] = float[](0.25, 0.15, 0.15, 0.15, 0.15, 0.15);
+
+            ${voxelEncoding(hdr)}
+            ${cascades ? `
+            // Cascades are addressed toroidally, the textures wrap around
+            vec4 sampleCascade(int cascade, vec3 worldPosition, float mip) {
+                vec3 coord = worldPosition / (clipmapExtent * exp2(float(cascade)));
+                ${[...Array(cascades).keys()].map(i => `if (cascade == ${i}) return decodeVoxel(textureLod(voxelCascade${i}, coord, mip));`).join('\n                ')}
+                return vec4(0.0);
+            }
+
+            // The finest cascade that has voxels of about the diameter and still contains the position
+            vec4 sampleVoxels(vec3 worldPosition, float diameter, vec3 direction) {
+                int cascade = clamp(int(log2(diameter * voxelWorldSizeInv)), 0, cascadeCount - 1);
+                for (; cascade < cascadeCount; cascade++) {
+                    float extent = clipmapExtent * exp2(float(cascade));
+                    // Keep a voxel of margin, linear filtering mixes in the other side of the wrap
+                    float margin = extent / float(textureSize(voxelCascade0, 0).x);
+                    vec3 local = worldPosition - cascadeMin[cascade];
+                    if (all(greaterThan(local, vec3(margin))) && all(lessThan(local, vec3(extent - margin)))) {
+                        float voxelSize = voxelWorldSize * exp2(float(cascade));
+                        return sampleCascade(cascade, worldPosition, max(0.0, log2(diameter / voxelSize)));
+                    }
+                }
+                return vec4(0.0);
+            }` : `
+            // World position to texture coordinate of the voxel volume
+            vec3 voxelCoord(vec3 p) { return (p - volumeMin) * volumeSizeInv; }
+            ${octree ? `
+            ivec2 octreeNode(int index) {
+                return texelFetch(octreeNodes, ivec2(index % nodeTextureWidth, index / nodeTextureWidth), 0).rg;
+            }
+
+            // Descends to the node at depth containing coord and samples its brick
+            vec4 sampleOctreeDepth(vec3 coord, int depth) {
+                ivec2 node = octreeNode(0);
+                vec3 p = coord;
+                for (int i = 0; i < depth; i++) {
+                    // Nodes without children are empty
+                    if (node.x < 0) {
+                        return vec4(0.0);
+                    }
+                    ivec3 octant = ivec3(greaterThanEqual(p, vec3(0.5)));
+                    p = p * 2.0 - vec3(octant);
+                    node = octreeNode(node.x + octant.x + 2 * octant.y + 4 * octant.z);
+                }
+                if (node.y < 0) {
+                    return vec4(0.0);
+                }
+
+                ivec3 brick = ivec3(node.y % brickPool.x, (node.y / brickPool.x) % brickPool.y, node.y / (brickPool.x * brickPool.y));
+                // The inner brickSize³ voxels, filtering at their edge reads the border copied from the neighbours
+                float stored = brickSize + 2.0;
+                vec3 texel = vec3(1.0) + p * brickSize;
+                return textureLod(octreeBricks, (vec3(brick) * stored + texel) / (vec3(brickPool) * stored), 0.0);
+            }
+
+            // Depth octreeDepth holds the full resolution voxels, each level up halves it like a mip
+            vec4 sampleVoxels(vec3 worldPosition, float diameter, vec3 direction) {
+                vec3 coord = voxelCoord(worldPosition);
+                if (any(lessThan(coord, vec3(0.0))) || any(greaterThanEqual(coord, vec3(1.0)))) {
+                    return vec4(0.0);
+                }
+
+                float depth = clamp(float(octreeDepth) - log2(diameter * voxelWorldSizeInv), 0.0, float(octreeDepth));
+                int coarse = int(floor(depth));
+                vec4 voxels = sampleOctreeDepth(coord, coarse);
+                if (coarse == octreeDepth) {
+                    return voxels;
+                }
+                return mix(voxels, sampleOctreeDepth(coord, coarse + 1), fract(depth));
+            }` : `
+            ${anisotropic ? `
+            vec4 premultiply(vec4 color) { return vec4(color.rgb * color.a, color.a); }
+
+            vec4 sampleAnisotropic(vec3 coord, vec3 direction, float lod) {
+                coord *= anisotropicScale;
+                vec4 x = decodeVoxel(direction.x > 0.0 ? textureLod(voxelPosX, coord, lod) : textureLod(voxelNegX, coord, lod));
+                vec4 y = decodeVoxel(direction.y > 0.0 ? textureLod(voxelPosY, coord, lod) : textureLod(voxelNegY, coord, lod));
+                vec4 z = decodeVoxel(direction.z > 0.0 ? textureLod(voxelPosZ, coord, lod) : textureLod(voxelNegZ, coord, lod));
+                vec3 weight = direction * direction;
+                vec4 color = weight.x * premultiply(x) + weight.y * premultiply(y) + weight.z * premultiply(z);
+                return color.a > 0.0 ? vec4(color.rgb / color.a, color.a) : vec4(0.0);
+            }
+
+            vec4 sampleVoxels(vec3 worldPosition, float diameter, vec3 direction) {
+                float mip = log2(diameter * voxelWorldSizeInv);
+                vec3 coord = voxelCoord(worldPosition);
+                vec4 voxels = decodeVoxel(textureLod(voxelTexture, coord, 0.0));
+                if (mip <= 0.0) {
+                    return voxels;
+                }
+                if (mip < 1.0) {
+                    return mix(voxels, sampleAnisotropic(coord, direction, 0.0), mip);
+                }
+                return sampleAnisotropic(coord, direction, mip - 1.0);
+            }` : `
+            vec4 sampleVoxels(vec3 worldPosition, float diameter, vec3 direction) {
+                float mip = log2(diameter * voxelWorldSizeInv);
+                return decodeVoxel(textureLod(voxelTexture, voxelCoord(worldPosition), mip));
+            }`}`}`}
+
+            vec4 coneTrace(vec3 origin, vec3 direction, float aperture, out float occlusion) {
+                vec3 color = vec3(0.0);
+                float alpha = 0.0;
+                occlusion = 0.0;
+
+                float dist = voxelWorldSize; // Start one voxel away to avoid self occlusion
+                float maxDistance = voxelConeMaxDist * voxelWorldSize${cascades ? ' * exp2(float(cascadeCount - 1))' : ''};
+                int count = 0;
+
+                // Accumulate lightning in voxel direction
+                while (dist < maxDistance && alpha < 0.95) {
+                    // smallest sample diameter possible is the voxel size
+                    float diameter = max(voxelWorldSize, 2.0 * aperture * dist);
+
+                    vec3 worldPosition = origin + dist * direction;
+                    vec4 voxelColor = sampleVoxels(worldPosition, diameter, direction);
+
+                    // if (voxelColor.a > 0.0) {
+                        // front-to-back compositing
+                        float a = (1.0 - alpha);
+                        // Mips average color over the filled voxels only, alpha says how much is filled
+                        color = color + a * voxelColor.a * voxelColor.rgb;
+                        alpha = alpha + a * voxelColor.a;
+                        occlusion = occlusion + a * voxelColor.a;
+                    //}
+
+                    // step along the ray
+                    dist = dist + diameter * voxelConeStepSize;
+                }
+
+                return vec4(color, alpha);
+            }
+
+            // Indirect light at a surface of base color, metallic and roughness seen along V. Diffuse from the cones
+            // around the normal, coneBasis turns them into world space with its y as the normal, and specular
+            // from a single cone around the reflection. The aperture, tan of its half angle, widens with the
+            // roughness from almost a mirror to as wide as the diffuse cones. The cones start at origin, a voxel
+            // off the surface. occlusion is the unblocked part of the diffuse cones times materialOcclusion.
+            vec3 indirectLight(vec3 origin, mat3 coneBasis, vec3 N, vec3 V, vec3 baseColor, float metallic, float roughness, float materialOcclusion, out float occlusion) {
+                // Of the light from all around, the Fresnel part is reflected specularly and the rest diffusely,
+                // metals have no diffuse
+                vec3 F = fresnelSchlickRoughness(max(dot(N, V), 0.0), reflectance(baseColor, metallic), roughness);
+                vec3 kd = (1.0 - F) * (1.0 - metallic);
+
+                vec4 indirectDiffuseLight = vec4(0.0);
+                occlusion = 0.0;
+                for (int i = 0; i < NUM_CONES; i++) {
+                    float tmpocc = 0.0;
+                    // 60 degree cones -> tan(30) = 0.577
+                    indirectDiffuseLight = indirectDiffuseLight + coneWeights[i] * coneTrace(origin, coneBasis * coneDirections[i], 0.577, tmpocc);
+                    occlusion = occlusion + coneWeights[i] * tmpocc;
+                }
+                indirectDiffuseLight = indirectMultiplier * indirectDiffuseLight;
+                occlusion = (1.0 - occlusion) * materialOcclusion;
+                vec3 diffuseReflection = occlusion * kd * indirectDiffuseLight.rgb * baseColor;
+
+                vec3 reflectDir = reflect(-V, N);
+                float aperture = mix(0.01, 0.577, roughness);
+                float specularOcclusion = 0.0;
+                vec4 tracedSpecular = coneTrace(origin, reflectDir, aperture, specularOcclusion);
+                vec3 specularReflection = specularMultiplier * materialOcclusion * F * tracedSpecular.rgb;
+
+                return diffuseReflection + specularReflection;
+            }
+    `;
+}
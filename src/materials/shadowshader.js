@@ -1,6 +1,7 @@
 import { glContext } from '../renderer/renderer.js';
 import { vec4 } from 'gl-matrix';
 import { createAndCompileProgram } from '../renderer/renderer_utils.js';
+import { skinning } from './shaderchunks.js';
 
 class ShadowShader {
     constructor() {
@@ -19,12 +20,13 @@ class ShadowShader {
 
             layout(location = 3) in vec3 tangent;
             layout(location = 4) in vec3 bitangent;
+            ${skinning}
 
             uniform mat4 depthView;
             uniform mat4 depthProj;
 
             void main() {
-                gl_Position = depthProj * depthView * modelMatrix * vec4(position, 1.0);
+                gl_Position = depthProj * depthView * modelMatrix * skinMatrix() * vec4(position, 1.0);
             }
         `;
 
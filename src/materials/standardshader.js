@@ -2,6 +2,7 @@ import { glContext } from '../renderer/renderer.js';
 import { vec4 } from 'gl-matrix';
 import { createAndCompileProgram } from '../renderer/renderer_utils.js';
 import Texture from '../renderer/texture.js';
+import { skinning, pbr, pbrSurface } from './shaderchunks.js';
 
 class StandardShader {
     constructor() {
@@ -17,6 +18,7 @@ class StandardShader {
             layout(location = 2) in vec2 uv;
             layout(location = 3) in vec3 tangent;
             layout(location = 4) in vec3 bitangent;
+            ${skinning}
 
             layout (std140) uniform modelMatrices {
                 mat4 modelMatrix;
@@ -44,13 +46,17 @@ class StandardShader {
             );
 
             void main() {
-                position_world = (modelMatrix * vec4(position, 1.0)).xyz;
-                position_depth = biasMatrix * depthMVP * vec4(position, 1.0);
+                // Bind pose to the current pose, identity for meshes without a skeleton
+                mat4 skin = skinMatrix();
+                vec4 skinnedPosition = skin * vec4(position, 1.0);
+
+                position_world = (modelMatrix * skinnedPosition).xyz;
+                position_depth = biasMatrix * depthMVP * skinnedPosition;
 
                 // TODO: why do I need to normalize here? Bump factor too much weight otherwise
-                normal_world = normalize((modelMatrix * vec4(normal,0.0)).xyz);
-                vec3 tangent_world = normalize((modelMatrix * vec4(tangent,0.0)).xyz);
-                vec3 bitangent_world = normalize((modelMatrix * vec4(bitangent,0.0)).xyz);
+                normal_world = normalize((modelMatrix * skin * vec4(normal,0.0)).xyz);
+                vec3 tangent_world = normalize((modelMatrix * skin * vec4(tangent,0.0)).xyz);
+                vec3 bitangent_world = normalize((modelMatrix * skin * vec4(bitangent,0.0)).xyz);
 
                 vUv = uv;
 
@@ -60,7 +66,7 @@ class StandardShader {
                     bitangent_world
                 );
 
-                gl_Position = projectionMatrix * viewMatrix * modelMatrix * vec4(position, 1.0);
+                gl_Position = projectionMatrix * viewMatrix * modelMatrix * skinnedPosition;
             }
         `;
 
@@ -78,6 +84,14 @@ class StandardShader {
                 bool hasNormalMap; // 4 56
                 bool hasSpecularMap; // 4 60
                 bool hasDissolveMap; // 4 64
+                bool hasEmissiveMap; // 4 68
+                float opacity; // 4 72, 1 unless blended
+                vec4 memissive; // 16 80
+                float mmetallic; // 4 96
+                float mroughness; // 4 100
+                float mocclusionStrength; // 4 104
+                bool hasMetallicRoughnessMap; // 4 108
+                bool hasOcclusionMap; // 4 112
             };
 
             layout (std140) uniform sceneBuffer {
@@ -92,6 +106,9 @@ class StandardShader {
             uniform sampler2D specularMap;
             uniform sampler2D dissolveMap;
             uniform sampler2DShadow shadowMap;
+            uniform sampler2D emissiveMap;
+            uniform sampler2D metallicRoughnessMap;
+            uniform sampler2D occlusionMap;
             uniform sampler3D voxelTexture;
 
             uniform float sceneScale;
@@ -139,6 +156,9 @@ class StandardShader {
                 return normalize(tangentToWorld * vec3(bn.x, 1.0, bn.y));
             }
 
+            ${pbr}
+            ${pbrSurface}
+
             void main() {
                 if (hasDissolveMap) {
                     if (texture(dissolveMap, vec2(vUv.x, 1.0 - vUv.y)).r  < 0.1) {
@@ -148,25 +168,28 @@ class StandardShader {
 
                 vec3 N = hasNormalMap ? calculateBumpNormal() : normalize(normal_world.xyz);
                 vec3 L = normalize(directional_world);
-                vec3 E = normalize(camera_world);
+                vec3 V = normalize(camera_world - position_world);
 
-                float alpha = 1.0;
+                vec4 baseColor;
+                float metallic;
+                float roughness;
+                float occlusion;
+                surface(vec2(vUv.x, 1.0 - vUv.y), baseColor, metallic, roughness, occlusion);
+                float alpha = baseColor.a;
 
                 float visibility = texture(shadowMap, vec3(position_depth.xy, (position_depth.z - 0.0005) / position_depth.w));
 
-                float cosTheta = max(0.0, dot(N, L));
-                vec3 directDiffuseLight = 2.0 * mdiffuse.xyz * vec3(visibility * cosTheta);
+                vec3 directLight = 2.0 * visibility * directBRDF(N, V, L, baseColor.rgb, metallic, roughness);
 
-                if (hasDiffuseMap) {
-                    vec4 materialColor = texture(textureMap, vec2(vUv.x, 1.0 - vUv.y));
-                    alpha = materialColor.a;
-                    directDiffuseLight = directDiffuseLight * materialColor.rgb;
+                vec3 emission = memissive.rgb;
+                if (hasEmissiveMap) {
+                    emission *= texture(emissiveMap, vec2(vUv.x, 1.0 - vUv.y)).rgb;
                 }
 
                 if (displayNormalMap && hasNormalMap) {
                     outColor = texture(bumpMap, vec2(vUv.x, 1.0 - vUv.y));
                 } else {
-                    outColor = vec4(directDiffuseLight, alpha);
+                    outColor = vec4(directLight + emission, alpha * opacity);
                 }
             }
     `;
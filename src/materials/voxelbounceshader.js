@@ -0,0 +1,111 @@
+import { glContext } from '../renderer/renderer.js';
+import { createAndCompileProgram } from '../renderer/renderer_utils.js';
+import { voxelEncoding } from './shaderchunks.js';
+
+// Adds one bounce of indirect light to a voxel volume. Each filled voxel traces the diffuse cones around
+// its stored normal through the radiance of the previous bounce and adds what arrives, times its albedo,
+// to its direct light. Distances are in voxels.
+// hdr: RGBA16F voxels, otherwise RGBA8 with a shared exponent
+class VoxelBounceShader {
+    constructor(hdr = true) {
+        const vsSource = `#version 300 es
+            precision highp float;
+            layout(location = 0) in vec3 position;
+
+            void main() {
+                gl_Position = vec4(position, 1.0);
+            }
+        `;
+
+        const fsSource = `#version 300 es
+            precision highp float;
+            precision highp int;
+            precision highp sampler3D;
+
+            uniform sampler3D radiance; // previous bounce, mipmapped
+            uniform sampler3D direct;
+            uniform sampler3D albedo;
+            uniform sampler3D normals;
+
+            uniform int layer; // z slice of the volume we are writing
+            uniform float maxDistance;
+            uniform float intensity;
+
+            out vec4 outColor;
+
+            // Same cones as ConeTracerShader, y is the normal
+            const int NUM_CONES = 6;
+            vec3 coneDirections[6] = vec3[](
+                                        vec3(0, 1, 0),
+                                        vec3(0, 0.5, 0.866025),
+                                        vec3(0.823639, 0.5, 0.267617),
+                                        vec3(0.509037, 0.5, -0.700629),
+                                        vec3(-0.509037, 0.5, -0.700629),
+                                        vec3(-0.823639, 0.5, 0.267617)
+                                        );
+            float coneWeights[6] = float[](0.25, 0.15, 0.15, 0.15, 0.15, 0.15);
+            ${voxelEncoding(hdr)}
+            vec3 coneTrace(vec3 origin, vec3 direction, float aperture) {
+                vec3 size = vec3(textureSize(radiance, 0));
+                vec3 color = vec3(0.0);
+                float alpha = 0.0;
+
+                float dist = 1.0; // Start one voxel away to avoid self occlusion
+                while (dist < maxDistance && alpha < 0.95) {
+                    // smallest sample diameter possible is the voxel size
+                    float diameter = max(1.0, 2.0 * aperture * dist);
+
+                    vec3 coord = (origin + dist * direction) / size;
+                    if (any(lessThan(coord, vec3(0.0))) || any(greaterThan(coord, vec3(1.0)))) {
+                        break;
+                    }
+                    vec4 voxelColor = decodeVoxel(textureLod(radiance, coord, log2(diameter)));
+
+                    // front-to-back compositing
+                    float a = (1.0 - alpha);
+                    color = color + a * voxelColor.a * voxelColor.rgb;
+                    alpha = alpha + a * voxelColor.a;
+
+                    dist = dist + diameter;
+                }
+
+                return color;
+            }
+
+            void main() {
+                ivec3 texel = ivec3(ivec2(gl_FragCoord.xy), layer);
+                vec4 directColor = decodeVoxel(texelFetch(direct, texel, 0));
+                if (directColor.a == 0.0) {
+                    outColor = vec4(0.0);
+                    return;
+                }
+
+                // Opposite faces in one voxel can cancel out, those bounce upwards
+                vec3 n = decodeVoxel(texelFetch(normals, texel, 0)).rgb * 2.0 - 1.0;
+                vec3 N = length(n) > 0.01 ? normalize(n) : vec3(0.0, 1.0, 0.0);
+                vec3 T = normalize(cross(N, abs(N.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0)));
+                mat3 tangentToWorld = mat3(T, N, cross(T, N));
+
+                vec3 origin = vec3(texel) + 0.5 + N;
+                vec3 indirect = vec3(0.0);
+                for (int i = 0; i < NUM_CONES; i++) {
+                    // 60 degree cones -> tan(30) = 0.577
+                    indirect = indirect + coneWeights[i] * coneTrace(origin, tangentToWorld * coneDirections[i], 0.577);
+                }
+
+                vec3 albedoColor = decodeVoxel(texelFetch(albedo, texel, 0)).rgb;
+                outColor = encodeVoxel(vec4(directColor.rgb + intensity * albedoColor * indirect, directColor.a));
+            }
+    `;
+        const gl = glContext();
+        this.program = createAndCompileProgram(gl, vsSource, fsSource);
+    }
+
+    // Use this program (will always be only this program)
+    activate() {
+        const gl = glContext();
+        gl.useProgram(this.program);
+    }
+}
+
+export default VoxelBounceShader;
@@ -2,9 +2,11 @@ import { glContext } from '../renderer/renderer.js';
 import { vec4 } from 'gl-matrix';
 import { createAndCompileProgram } from '../renderer/renderer_utils.js';
 import Texture from '../renderer/texture.js';
+import { voxelEncoding } from './shaderchunks.js';
 
+// hdr: RGBA16F voxels, otherwise RGBA8 with a shared exponent
 class VoxelDebugShader {
-    constructor() {
+    constructor(hdr = true) {
         // Create shader based on params
         const vsSource = `#version 300 es
             precision highp float;
@@ -33,13 +35,15 @@ class VoxelDebugShader {
 
             uniform float mipmapLevel;
             uniform float stepLength;
-            uniform float sceneScaleInv;
+            uniform vec3 volumeMin;
+            uniform vec3 volumeSizeInv;
 
             in vec2 textureCoordinateFrag;
             out vec4 outColor;
 
-            // Scales and bias a given vector (i.e. from [-1, 1] to [0, 1]).
-            vec3 scaleAndBias(vec3 p) { return 0.5 * p + vec3(0.5); }
+            // World position to texture coordinate of the voxel volume
+            vec3 voxelCoord(vec3 p) { return (p - volumeMin) * volumeSizeInv; }
+            ${voxelEncoding(hdr)}
 
             void main() {
                 // Initialize ray
@@ -52,10 +56,11 @@ class VoxelDebugShader {
                 float alpha = 0.0;
                 for(int i = 0; i < numberOfSteps; ++i) {
                     vec3 currentPoint = origin + stepLength * float(i) * direction;
-                    vec4 currentSample = textureLod(texture3D, scaleAndBias(currentPoint * sceneScaleInv), mipmapLevel);
+                    vec4 currentSample = decodeVoxel(textureLod(texture3D, voxelCoord(currentPoint), mipmapLevel));
 
+                    // Mips average color over the filled voxels only, alpha says how much is filled
                     float a = (1.0 - alpha);
-                    color = color + a * currentSample.rgb;
+                    color = color + a * currentSample.a * currentSample.rgb;
                     alpha = alpha + a * currentSample.a;
                     // if (currentSample.a > 0.0) {
                     //     currentSample.rgb /= currentSample.a;
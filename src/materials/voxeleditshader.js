@@ -0,0 +1,83 @@
+import { glContext } from '../renderer/renderer.js';
+import { createAndCompileProgram } from '../renderer/renderer_utils.js';
+import { voxelEncoding } from './shaderchunks.js';
+
+// Sets, clears or paints the voxels of a volume inside a box or sphere, see VoxelConeTracer.fillVoxels,
+// or pastes voxels over them, see VoxelConeTracer.insertVoxelModel.
+// Draws the layers of the edited region, reading the voxels from a copy of it.
+// hdr: RGBA16F voxels, otherwise RGBA8 with a shared exponent
+class VoxelEditShader {
+    constructor(hdr = true) {
+        const vsSource = `#version 300 es
+            precision highp float;
+            layout(location = 0) in vec3 position;
+
+            void main() {
+                gl_Position = vec4(position, 1.0);
+            }
+        `;
+
+        const fsSource = `#version 300 es
+            precision highp float;
+            precision highp int;
+            precision highp sampler2DArray;
+
+            uniform sampler2DArray source; // copy of the region
+            uniform sampler2DArray pasted; // voxels pasted over the region, empty ones keep the current voxel
+            uniform ivec3 regionMin; // first voxel of the region
+            uniform int layer; // z slice of the volume we are writing
+
+            // World space grid of the volume
+            uniform vec3 gridOrigin;
+            uniform float voxelSize;
+
+            // 0 box from boxMin to boxMax, 1 sphere of radius around center
+            uniform int shape;
+            uniform vec3 boxMin;
+            uniform vec3 boxMax;
+            uniform vec3 center;
+            uniform float radius;
+
+            // 0 set to color, 1 clear, 2 paint the rgb of filled voxels, color.a is the strength, 3 paste
+            uniform int mode;
+            uniform vec4 color;
+
+            out vec4 outColor;
+            ${voxelEncoding(hdr)}
+            void main() {
+                ivec3 voxel = ivec3(ivec2(gl_FragCoord.xy), layer);
+                vec4 current = decodeVoxel(texelFetch(source, voxel - regionMin, 0));
+
+                if (mode == 3) {
+                    vec4 paste = decodeVoxel(texelFetch(pasted, voxel - regionMin, 0));
+                    outColor = encodeVoxel(paste.a > 0.0 ? paste : current);
+                    return;
+                }
+
+                vec3 p = gridOrigin + (vec3(voxel) + 0.5) * voxelSize;
+                bool inside = shape == 0 ? all(greaterThanEqual(p, boxMin)) && all(lessThanEqual(p, boxMax)) :
+                    distance(p, center) <= radius;
+                if (!inside) {
+                    outColor = encodeVoxel(current);
+                } else if (mode == 0) {
+                    outColor = encodeVoxel(color);
+                } else if (mode == 1) {
+                    outColor = vec4(0.0);
+                } else {
+                    vec3 painted = current.a > 0.0 ? mix(current.rgb, color.rgb, color.a) : current.rgb;
+                    outColor = encodeVoxel(vec4(painted, current.a));
+                }
+            }
+    `;
+        const gl = glContext();
+        this.program = createAndCompileProgram(gl, vsSource, fsSource);
+    }
+
+    // Use this program (will always be only this program)
+    activate() {
+        const gl = glContext();
+        gl.useProgram(this.program);
+    }
+}
+
+export default VoxelEditShader;
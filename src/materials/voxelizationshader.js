@@ -2,9 +2,13 @@ import { glContext } from '../renderer/renderer.js';
 import { vec4 } from 'gl-matrix';
 import { createAndCompileProgram } from '../renderer/renderer_utils.js';
 import Texture from '../renderer/texture.js';
+import { voxelEncoding, skinning } from './shaderchunks.js';
 
 class VoxelizationShader {
-  constructor() {
+  // dominantAxis: instead of one draw per slice, every instance renders into its own tile of a slice atlas and
+  // each triangle is only kept by the axis it is most facing
+  // hdr: write RGBA16F radiance, otherwise the RGBA8 shared exponent encoding
+  constructor(dominantAxis = false, hdr = true) {
     // Create shader based on params
     const vsSource = `#version 300 es
 
@@ -16,6 +20,7 @@ class VoxelizationShader {
 
             layout(location = 3) in vec3 tangent;
             layout(location = 4) in vec3 bitangent;
+            ${skinning}
 
             layout (std140) uniform modelMatrices {
                 mat4 modelMatrix;
@@ -32,8 +37,18 @@ class VoxelizationShader {
             out vec2 vUv;
             out vec3 normal_world;
             out vec4 position_depth;
-
-            uniform mat4 viewProjection;
+            out vec3 position_world;
+            ${dominantAxis ? `
+            out vec2 tileCoord;
+
+            uniform int axis; // 0 = x, 1 = y, 2 = z
+            uniform float slices; // along axis, one tile each
+            uniform float tilesPerRow;
+            uniform vec2 tileSize; // in texels
+            uniform vec2 atlasSize;
+            uniform vec3 volumeMin;
+            uniform vec3 volumeSizeInv;` : `
+            uniform mat4 viewProjection;`}
 
             void main() {
                 mat4 biasMatrix = mat4(
@@ -42,11 +57,27 @@ class VoxelizationShader {
                     0.0, 0.0, 0.5, 0.0,
                     0.5, 0.5, 0.5, 1.0
                 );
-                position_depth = biasMatrix * depthMVP * vec4(position, 1.0);
+                // Bind pose to the current pose, identity for meshes without a skeleton
+                mat4 skin = skinMatrix();
+                vec4 skinnedPosition = skin * vec4(position, 1.0);
+                position_depth = biasMatrix * depthMVP * skinnedPosition;
 
                 vUv = uv;
-                normal_world = vec3(modelMatrix * vec4(normal, 1.0));
-                gl_Position = viewProjection * modelMatrix *  vec4(position, 1.0);
+                normal_world = mat3(modelMatrix) * mat3(skin) * normal;
+                position_world = (modelMatrix * skinnedPosition).xyz;
+                ${dominantAxis ? `
+                vec3 voxelCoord = (position_world - volumeMin) * volumeSizeInv;
+
+                // One tile per slice along the projection axis, the tile spans the two other axes
+                vec3 c = axis == 0 ? voxelCoord.yzx : (axis == 1 ? voxelCoord.xzy : voxelCoord.xyz);
+                float slice = float(gl_InstanceID);
+                vec2 tile = vec2(mod(slice, tilesPerRow), floor(slice / tilesPerRow));
+                tileCoord = c.xy;
+
+                // Depth clipping cuts away everything outside this slice
+                float depth = 2.0 * (c.z * slices - slice) - 1.0;
+                gl_Position = vec4(2.0 * (tile + c.xy) * tileSize / atlasSize - 1.0, depth, 1.0);` : `
+                gl_Position = viewProjection * modelMatrix * skinnedPosition;`}
             }
         `;
 
@@ -58,6 +89,11 @@ class VoxelizationShader {
         in vec2 vUv;
         in vec3 normal_world;
         in vec4 position_depth;
+        in vec3 position_world;
+        ${dominantAxis ? `
+        in vec2 tileCoord;
+
+        uniform int axis;` : ''}
 
         layout (std140) uniform sceneBuffer {
             mat4 viewMatrix;
@@ -75,6 +111,9 @@ class VoxelizationShader {
             bool hasNormalMap; // 4 56
             bool hasSpecularMap; // 4 60
             bool hasDissolveMap; // 4 64
+            bool hasEmissiveMap; // 4 68
+            float opacity; // 4 72, 1 unless blended
+            vec4 memissive; // 16 80
         };
 
         uniform sampler2D textureMap;
@@ -82,10 +121,54 @@ class VoxelizationShader {
         uniform sampler2D specularMap;
         uniform sampler2D dissolveMap;
         uniform sampler2DShadow shadowMap;
+        uniform sampler2D emissiveMap;
+
+        const int MAX_POINT_LIGHTS = 16;
+
+        struct PointLight {
+            vec4 position; // world space
+            vec4 color;
+            float intensity;
+            float radius; // no light reaches further
+        };
+
+        layout (std140) uniform pointLightsBuffer {
+            PointLight pointLights[MAX_POINT_LIGHTS];
+        };
+
+        uniform int numPointLights;
 
         layout(location = 0) out vec4 layer0;
+        // Only attached when the volume keeps albedo and normals, see VoxelConeTracer._writesAttributes
+        layout(location = 1) out vec4 albedoLayer;
+        layout(location = 2) out vec4 normalLayer;
+        ${voxelEncoding(hdr)}
+        // Diffuse light from the point lights, unshadowed, fading out quadratically towards the radius
+        vec3 pointLightRadiance(vec3 N) {
+            vec3 radiance = vec3(0.0);
+            for (int i = 0; i < numPointLights; i++) {
+                vec3 toLight = pointLights[i].position.xyz - position_world;
+                float dist = length(toLight);
+                float falloff = clamp(1.0 - dist / pointLights[i].radius, 0.0, 1.0);
+                float cosTheta = max(dot(N, toLight / max(dist, 1e-4)), 0.0);
+                radiance += pointLights[i].intensity * pointLights[i].color.rgb * cosTheta * falloff * falloff;
+            }
+            return radiance;
+        }
 
         void main() {
+            ${dominantAxis ? `
+            // Triangles leaving the volume would spill into the neighbouring tiles
+            if (any(lessThan(tileCoord, vec2(0.0))) || any(greaterThan(tileCoord, vec2(1.0)))) {
+                discard;
+            }
+
+            vec3 faceNormal = abs(cross(dFdx(position_world), dFdy(position_world)));
+            int dominantAxis = faceNormal.x >= faceNormal.y && faceNormal.x >= faceNormal.z ? 0 : (faceNormal.y >= faceNormal.z ? 1 : 2);
+            if (dominantAxis != axis) {
+                discard;
+            }
+            ` : ''}
             vec3 L = normalize(directional_world);
             vec3 N = normalize(normal_world);
 
@@ -97,13 +180,24 @@ class VoxelizationShader {
 
             float cosTheta = visibility *  max(dot(N, L), 0.0);
 
-            //if (hasDiffuseMap) {
-                float alpha = texture(textureMap, vec2(vUv.x, 1.0 - vUv.y)).a;
-                layer0 = visibility * texture(textureMap, vec2(vUv.x, 1.0 - vUv.y));
-                layer0.a = 1.0;
-            //} else {
-            //    layer0 = vec4(cosTheta * mdiffuse.xyz, 1.0);
-           // }
+            // The base color of the pbrSurface chunk
+            vec4 albedo = vec4(mdiffuse.rgb, 1.0);
+            if (hasDiffuseMap) {
+                albedo *= texture(textureMap, vec2(vUv.x, 1.0 - vUv.y));
+            }
+
+            // Emissive surfaces light the scene through the voxels, unaffected by shadows
+            vec3 emission = memissive.rgb;
+            if (hasEmissiveMap) {
+                emission *= texture(emissiveMap, vec2(vUv.x, 1.0 - vUv.y)).rgb;
+            }
+
+            layer0 = visibility * albedo;
+            layer0.rgb += albedo.rgb * pointLightRadiance(N) + emission;
+            layer0.a = 1.0;
+            layer0 = encodeVoxel(layer0);
+            albedoLayer = encodeVoxel(vec4(albedo.rgb, 1.0));
+            normalLayer = encodeVoxel(vec4(N * 0.5 + 0.5, 1.0));
         }
     `;
 
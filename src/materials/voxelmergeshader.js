@@ -0,0 +1,105 @@
+import { glContext } from '../renderer/renderer.js';
+import { createAndCompileProgram } from '../renderer/renderer_utils.js';
+import { voxelEncoding } from './shaderchunks.js';
+
+// Combines the x, y and z axis projections of a voxelized region into one layer of the 3D voxel texture.
+// atlas: read the slice atlases of the dominant axis voxelization instead of the 2D texture arrays
+// hdr: RGBA16F voxels, otherwise RGBA8 with a shared exponent
+// attributes: also merge the albedo and normal projections, and keep a copy of the radiance as direct light
+class VoxelMergeShader {
+    constructor(atlas = false, hdr = true, attributes = false) {
+        const sampler = atlas ? 'sampler2D' : 'sampler2DArray';
+        const vsSource = `#version 300 es
+            precision highp float;
+            layout(location = 0) in vec3 position;
+
+            void main() {
+                gl_Position = vec4(position, 1.0);
+            }
+        `;
+
+        const fsSource = `#version 300 es
+            precision highp float;
+            precision highp int;
+            precision highp sampler2DArray;
+
+            uniform ${sampler} xTexture;
+            uniform ${sampler} yTexture;
+            uniform ${sampler} zTexture;
+            ${attributes ? `
+            uniform ${sampler} xAlbedo;
+            uniform ${sampler} yAlbedo;
+            uniform ${sampler} zAlbedo;
+            uniform ${sampler} xNormal;
+            uniform ${sampler} yNormal;
+            uniform ${sampler} zNormal;` : ''}
+
+            uniform int layer; // z slice of the voxel texture we are writing
+            uniform ivec3 resolution; // voxels of the region along x, y and z
+            uniform ivec3 volumeResolution;
+            // Texel holding the first voxel of the volume, non-zero once a clipmap cascade has scrolled,
+            // and the offset from the region to the volume in voxels
+            uniform ivec3 windowMin;
+            uniform ivec3 regionOffset;
+            ${atlas ? `
+            uniform ivec3 tilesPerRow; // of the x, y and z atlas
+
+            ivec2 atlasTexel(int tile, int u, int v, int perRow, ivec2 tileSize) {
+                return ivec2(tile % perRow, tile / perRow) * tileSize + ivec2(u, v);
+            }
+            ` : ''}
+            layout(location = 0) out vec4 outColor;
+            ${attributes ? `
+            layout(location = 1) out vec4 outDirect;
+            layout(location = 2) out vec4 outAlbedo;
+            layout(location = 3) out vec4 outNormal;` : ''}
+            ${voxelEncoding(hdr)}
+            // Overlapping fragments are summed by the additive blending, keep their average
+            vec4 normalizeVoxel(vec4 texel) {
+                vec4 color = decodeVoxel(texel);
+                return color.a > 0.0 ? vec4(color.rgb / color.a, 1.0) : vec4(0.0);
+            }
+
+            vec4 mergeAxes(${sampler} xSource, ${sampler} ySource, ${sampler} zSource, ivec3 p) {
+                int last = resolution.x - 1;
+                ${atlas ? `
+                // Tile is the slice along the projection axis, see VoxelizationShader
+                vec4 x = normalizeVoxel(texelFetch(xSource, atlasTexel(p.x, p.y, p.z, tilesPerRow.x, resolution.yz), 0));
+                vec4 y = normalizeVoxel(texelFetch(ySource, atlasTexel(p.y, p.x, p.z, tilesPerRow.y, resolution.xz), 0));
+                vec4 z = normalizeVoxel(texelFetch(zSource, atlasTexel(p.z, p.x, p.y, tilesPerRow.z, resolution.xy), 0));` : `
+                // The axis cameras look down +x, -y and -z, see VoxelConeTracer._sliceViewProjection
+                vec4 x = normalizeVoxel(texelFetch(xSource, ivec3(p.z, p.y, last - p.x), 0));
+                vec4 y = normalizeVoxel(texelFetch(ySource, ivec3(last - p.x, p.z, p.y), 0));
+                vec4 z = normalizeVoxel(texelFetch(zSource, ivec3(p.x, p.y, p.z), 0));`}
+
+                // Per channel, z wins over y which wins over x
+                vec4 color = mix(x, y, vec4(greaterThan(y, vec4(0.0))));
+                return encodeVoxel(mix(color, z, vec4(greaterThan(z, vec4(0.0)))));
+            }
+
+            void main() {
+                ivec3 texel = ivec3(ivec2(gl_FragCoord.xy), layer);
+                ivec3 p = regionOffset + (texel - windowMin + volumeResolution) % volumeResolution;
+                if (any(lessThan(p, ivec3(0))) || any(greaterThanEqual(p, resolution))) {
+                    discard;
+                }
+
+                outColor = mergeAxes(xTexture, yTexture, zTexture, p);
+                ${attributes ? `
+                outDirect = outColor;
+                outAlbedo = mergeAxes(xAlbedo, yAlbedo, zAlbedo, p);
+                outNormal = mergeAxes(xNormal, yNormal, zNormal, p);` : ''}
+            }
+    `;
+        const gl = glContext();
+        this.program = createAndCompileProgram(gl, vsSource, fsSource);
+    }
+
+    // Use this program (will always be only this program)
+    activate() {
+        const gl = glContext();
+        gl.useProgram(this.program);
+    }
+}
+
+export default VoxelMergeShader;
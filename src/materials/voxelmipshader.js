@@ -0,0 +1,55 @@
+import { glContext } from '../renderer/renderer.js';
+import { createAndCompileProgram } from '../renderer/renderer_utils.js';
+import { voxelEncoding } from './shaderchunks.js';
+
+// Builds one mip level of a voxel volume from the one below. Unlike generateMipmap the color is averaged
+// over the filled children only, empty voxels just lower the opacity instead of darkening the color.
+// hdr: RGBA16F voxels, otherwise RGBA8 with a shared exponent
+class VoxelMipShader {
+    constructor(hdr = true) {
+        const vsSource = `#version 300 es
+            precision highp float;
+            layout(location = 0) in vec3 position;
+
+            void main() {
+                gl_Position = vec4(position, 1.0);
+            }
+        `;
+
+        const fsSource = `#version 300 es
+            precision highp float;
+            precision highp int;
+            precision highp sampler3D;
+
+            // Its base level is the one to read, lods passed to texelFetch and textureSize count from there
+            uniform sampler3D source;
+            uniform int layer; // z slice of the level we are writing
+
+            out vec4 outColor;
+            ${voxelEncoding(hdr)}
+            void main() {
+                ivec3 base = 2 * ivec3(ivec2(gl_FragCoord.xy), layer);
+                ivec3 last = textureSize(source, 0) - 1;
+
+                vec4 sum = vec4(0.0);
+                for (int i = 0; i < 8; i++) {
+                    ivec3 child = min(base + ivec3(i & 1, (i >> 1) & 1, i >> 2), last);
+                    vec4 color = decodeVoxel(texelFetch(source, child, 0));
+                    sum += vec4(color.rgb * color.a, color.a);
+                }
+
+                outColor = encodeVoxel(sum.a > 0.0 ? vec4(sum.rgb / sum.a, sum.a / 8.0) : vec4(0.0));
+            }
+    `;
+        const gl = glContext();
+        this.program = createAndCompileProgram(gl, vsSource, fsSource);
+    }
+
+    // Use this program (will always be only this program)
+    activate() {
+        const gl = glContext();
+        gl.useProgram(this.program);
+    }
+}
+
+export default VoxelMipShader;
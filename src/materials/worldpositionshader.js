@@ -20,11 +20,13 @@ class WorldPositionShader {
                 float numDirectionalLights;
             };
 
+            uniform vec3 offset; // moves the mesh into place, e.g. to the center of the voxel volume
+
             out vec3 worldPosition;
 
             void main() {
-                worldPosition = vec3(vec4(position, 1.0));
-                gl_Position = projectionMatrix * viewMatrix * vec4(position, 1.0);
+                worldPosition = position + offset;
+                gl_Position = projectionMatrix * viewMatrix * vec4(worldPosition, 1.0);
             }
         `;
 
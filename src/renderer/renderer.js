@@ -4,9 +4,11 @@ import UniformBufferObject from '../utils/ubo.js';
 
 import ScreenSpaceImageShader from '../materials/screenspaceimageshader.js'
 import StandardShader from '../materials/standardshader.js'
+import GBufferShader from '../materials/gbuffershader.js'
 import ShadowShader from '../materials/shadowshader.js'
 import VoxelConeTracer from '../gi/voxelconetracer.js'
 import Mesh from '../core/mesh.js'
+import Material from '../materials/material.js'
 import FrameBufferObject from '../utils/framebufferobject.js'
 import OrthographicCamera from '../cameras/orthographiccamera.js'
 import Quad from '../geometry/quad.js'
@@ -40,12 +42,16 @@ class Renderer {
     this.pointLightUBO = new UniformBufferObject(new Float32Array(Renderer.MAX_LIGHTS * Renderer.LIGHT_DATA_CHUNK_SIZE));
     this.directionalLightUBO = new UniformBufferObject(new Float32Array(Renderer.MAX_LIGHTS * Renderer.LIGHT_DATA_CHUNK_SIZE));
     this.shadowMapResolution = 4096;
-    this.sceneScale = 3000;
 
     this.standardShader = new StandardShader();
     this.shadowShader = new ShadowShader();
     this.screenSpaceImageShader = new ScreenSpaceImageShader();
-    this.voxelConeTracer = new VoxelConeTracer(/*sceneScale=*/this.sceneScale, /*cubeSize*/2000, /*resolution*/256, this.materialUBO, this.pointLightUBO, this.modelMatricesUBO, this.sceneUBO);
+    this.gBufferShader = new GBufferShader();
+    // Created at the size of the canvas by the deferred path
+    this.gBuffer = null;
+    // The volume is fitted to the scene on the first frame unless setVoxelVolume is called
+    this.voxelConeTracer = new VoxelConeTracer(Renderer.VOXEL_RESOLUTION);
+    this._guiClipmapLevels = 0;
 
     this.sceneUBO.bind();
     this.pointLightUBO.bind();
@@ -55,7 +61,7 @@ class Renderer {
     this.guiUBO.bind();
   }
 
-  _initShadowMap(directionalLightPos) {
+  _initShadowMap() {
     const gl = glContext();
 
     // Set up depth fbo
@@ -82,23 +88,94 @@ class Renderer {
       console.error("FBO is not complete" + FrameBufferObject.checkFrameBufferStatus(gl.checkFramebufferStatus(gl.FRAMEBUFFER)));
     }
 
-    // Set up ortho camera
+    // Set back normal FBO
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  // Voxelizes bounds, a { min, max } box in world space, with resolution voxels along its longest side.
+  // Shadows are fitted to the same box since the voxelization needs them.
+  setVoxelVolume(bounds, resolution = this.voxelConeTracer.resolution) {
+    this.voxelConeTracer.setVolume(bounds, resolution);
+    this.voxelize = true;
+    this.renderToShadowMap = true;
+  }
+
+  // Cascades of resolution³ voxels centred on the camera instead of a single volume, the finest covers extent
+  // and each following one twice as much. Shadows cover the outermost cascade.
+  setVoxelClipmap(levels, extent, resolution = Renderer.CLIPMAP_RESOLUTION) {
+    this.voxelConeTracer.setClipmap(levels, extent, resolution);
+    this.voxelize = true;
+    this.renderToShadowMap = true;
+  }
+
+  // The voxelized volume as an ArrayBuffer, see VoxelConeTracer.saveVolume
+  saveVoxelVolume(allMips = true) {
+    return this.voxelConeTracer.saveVolume(allMips);
+  }
+
+  // Uses a volume from saveVoxelVolume instead of voxelizing the scene, static scenes can ship it baked
+  loadVoxelVolume(buffer) {
+    if (this.voxelConeTracer.loadVolume(buffer)) {
+      this.voxelize = false;
+      this.renderToShadowMap = true;
+    }
+  }
+
+  // A CPU copy of the voxels for collision and line of sight checks, taken after the scene was voxelized
+  createVoxelQuery() {
+    return this.voxelConeTracer.createVoxelQuery();
+  }
+
+  // Greedy or marching cubes meshes of the voxels, exportable as OBJ, see VoxelMesher
+  createVoxelMesher() {
+    return this.voxelConeTracer.createVoxelMesher();
+  }
+
+  // Leaves the volume as it is when the scene has no meshes to fit it to
+  _fitVoxelVolume(scene, clipmapLevels = 0) {
+    const bounds = scene.computeBoundingBox();
+    if ([0, 1, 2].some(i => !(bounds.min[i] <= bounds.max[i]))) {
+      return;
+    }
+    // Some room so surfaces on the border still end up inside
+    const padding = Renderer.VOXEL_VOLUME_PADDING * vec3.distance(bounds.min, bounds.max);
+    vec3.subtract(bounds.min, bounds.min, vec3.fromValues(padding, padding, padding));
+    vec3.add(bounds.max, bounds.max, vec3.fromValues(padding, padding, padding));
+
+    if (clipmapLevels > 0) {
+      // The outermost cascade sees the whole scene from anywhere inside it
+      const size = vec3.create();
+      vec3.subtract(size, bounds.max, bounds.min);
+      const extent = 2.0 * Math.max(size[0], size[1], size[2]);
+      this.setVoxelClipmap(clipmapLevels, extent / Math.pow(2, clipmapLevels - 1));
+    } else {
+      // Empty space is cheap in the octree, so it can afford a finer grid
+      const octree = this.voxelConeTracer.storage === VoxelConeTracer.OCTREE_STORAGE;
+      this.setVoxelVolume(bounds, octree ? Renderer.OCTREE_RESOLUTION : Renderer.VOXEL_RESOLUTION);
+    }
+  }
+
+  _updateShadowCamera(directionalLightPos) {
+    // Set up ortho camera around the bounding sphere of the voxel volume
+    const bounds = this.voxelConeTracer.bounds;
+    const center = vec3.create();
+    vec3.lerp(center, bounds.min, bounds.max, 0.5);
+    const radius = 0.5 * vec3.distance(bounds.min, bounds.max);
     this.shadowCam = new OrthographicCamera(
-      -this.sceneScale,
-      this.sceneScale,
-      -this.sceneScale,
-      this.sceneScale,
-      -this.sceneScale,
-      this.sceneScale);
+      -radius,
+      radius,
+      -radius,
+      radius,
+      -radius,
+      radius);
 
     // Get point light position... direction i mean
-    this.shadowCam.position = vec3.fromValues(directionalLightPos[0], directionalLightPos[1], directionalLightPos[2]);
-    this.shadowCam.lookAt(vec3.fromValues(0.0, 0.0, 0.0));
+    const direction = vec3.fromValues(directionalLightPos[0], directionalLightPos[1], directionalLightPos[2]);
+    vec3.normalize(direction, direction);
+    this.shadowCam.position = vec3.add(direction, center, direction);
+    this.shadowCam.lookAt(center);
     this.shadowCam.MVP = mat4.create();
     mat4.multiply(this.shadowCam.MVP, this.shadowCam.projectionMatrix, this.shadowCam.viewMatrix);
-
-    // Set back normal FBO
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
   }
 
   _renderObject(object, scene, camera, program) {
@@ -107,35 +184,30 @@ class Renderer {
       ...object.normalMatrix
     ]);
 
-    const materialData = object.materialData;
     // Different between objects
-    this.materialUBO.update([
-      ...[...materialData.ambient, 0.0], // vec3 16  0
-      ...[...materialData.diffuse, 0.0], // vec3 16  16
-      // ...[...materialData.emissive, 0.0], // vec3 16 32
-      ...[...materialData.specular, 0.0], // vec3 16  48
-      materialData.specularExponent, // 4, this.voxelTextureSize
-      Boolean(materialData.mapDiffuse),  // 4, 72
-      Boolean(materialData.mapBump), //4, 76
-      Boolean(materialData.mapSpecular),
-      Boolean(materialData.mapDissolve)
-    ]); // Real chunk size here
+    const material = object.material;
+    this.materialUBO.update(material.uniformData());
 
     const gl = glContext();
     gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'materialBuffer'), this.materialUBO.location);
     gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'modelMatrices'), this.modelMatricesUBO.location);
-    object.uploadTextures(program);
+    material.bindTextures(program);
+    object.uploadSkin(program);
+    material.applyRenderState();
     object.draw();
+    material.resetRenderState();
   }
 
   _uploadLightning(scene, camera) {
     // TODO: Proper padding, it's broken
     for (let i = 0; i < scene.pointLights.length; i++) {
       const l = scene.pointLights[i];
+      const position = l.worldPosition;
       this.pointLightUBO.update([
-        ...[l.position[0], l.position[1], l.position[2], 0.0], // should be view space in the rest
+        ...[position[0], position[1], position[2], 0.0], // should be view space in the rest
          ...l.color,  // vec4 16
-         l.intensity // vec4 16
+         l.intensity, // vec4 16
+         l.radius
        ], i * Renderer.LIGHT_DATA_CHUNK_SIZE);
     }
   }
@@ -187,8 +259,29 @@ class Renderer {
       scene.gui.displayOcclusion
     ]);
 
-    if (this.renderToShadowMap) {
-      this._initShadowMap(scene.directionalLights[0].direction);
+    if (!this.depthFBO) {
+      this._initShadowMap();
+    }
+
+    const clipmapLevels = scene.gui.voxelClipmap ? scene.gui.voxelClipmapLevels : 0;
+    const storage = scene.gui.voxelOctree ? VoxelConeTracer.OCTREE_STORAGE : VoxelConeTracer.DENSE_STORAGE;
+    if (!this.voxelConeTracer.hasVolume || clipmapLevels !== this._guiClipmapLevels ||
+        storage !== this.voxelConeTracer.storage) {
+      this._guiClipmapLevels = clipmapLevels;
+      this.voxelConeTracer.storage = storage;
+      this._fitVoxelVolume(scene, clipmapLevels);
+    }
+    // Nothing to voxelize, shadow or draw before the scene has meshes
+    if (!this.voxelConeTracer.hasVolume) {
+      return;
+    }
+
+    // Moves the shadow map along when the outer cascade scrolls
+    const volumeMoved = this.voxelConeTracer.followCamera(camera);
+
+    // Moving lights and objects need a fresh shadow map every frame
+    if (this.renderToShadowMap || scene.gui.dynamicVoxelization || volumeMoved) {
+      this._updateShadowCamera(scene.directionalLights[0].worldDirection);
       this._renderToShadowMap(scene, camera);
       this.renderToShadowMap = false;
     }
@@ -199,7 +292,7 @@ class Renderer {
       ...camera.viewMatrix,
       ...camera.projectionMatrix,
       ...depthMVP,
-      ...scene.directionalLights[0].direction
+      ...scene.directionalLights[0].worldDirection
     ]);
 
     this._uploadLightning(scene, camera);
@@ -208,23 +301,128 @@ class Renderer {
       this._renderShadowMapToScreen();
     }
 
+    // Switching voxelization path rebuilds the volume so the two can be compared
+    if (scene.gui.voxelizationMode !== this.voxelConeTracer.voxelizationMode) {
+      this.voxelConeTracer.voxelizationMode = scene.gui.voxelizationMode;
+      this.voxelize = true;
+    }
+
+    if (scene.gui.anisotropicVoxels !== this.voxelConeTracer.anisotropic) {
+      this.voxelConeTracer.anisotropic = scene.gui.anisotropicVoxels;
+      this.voxelize = true;
+    }
+
+    // Albedo and normals are only voxelized when something needs them
+    const keepAttributes = scene.gui.voxelDebugVolume !== VoxelConeTracer.RADIANCE_VOLUME;
+    if (keepAttributes !== this.voxelConeTracer.keepAttributes) {
+      this.voxelConeTracer.keepAttributes = keepAttributes;
+      this.voxelize = true;
+    }
+
+    if (scene.gui.voxelBounces !== this.voxelConeTracer.bounces ||
+        scene.gui.voxelBounceIntensity !== this.voxelConeTracer.bounceIntensity) {
+      this.voxelConeTracer.bounces = scene.gui.voxelBounces;
+      this.voxelConeTracer.bounceIntensity = scene.gui.voxelBounceIntensity;
+      this.voxelize = true;
+    }
+
+    // Shared by dynamic updates and octree builds, both spread their work over frames
+    this.voxelConeTracer.timeBudget = scene.gui.voxelTimeBudget;
+
     // For debug
     if (this.voxelize) {
-      this.voxelConeTracer.voxelize(scene, camera, this.depthTexture, this.sceneUBO, this.materialUBO, this.modelMatricesUBO);
+      this.voxelConeTracer.voxelize(scene, camera, this.depthTexture, this.sceneUBO, this.materialUBO, this.modelMatricesUBO, this.pointLightUBO);
       this.voxelize = false;
+    } else {
+      this.voxelConeTracer.voxelizeDirtyRegions(scene, camera, this.depthTexture, this.sceneUBO, this.materialUBO, this.modelMatricesUBO, this.pointLightUBO);
+      this.voxelConeTracer.voxelizeOctreeChunks(scene, camera, this.depthTexture, this.sceneUBO, this.materialUBO, this.modelMatricesUBO, this.pointLightUBO);
+      if (scene.gui.dynamicVoxelization) {
+        this.voxelConeTracer.updateInterval = scene.gui.voxelUpdateInterval;
+        this.voxelConeTracer.update(scene, camera, this.depthTexture, this.sceneUBO, this.materialUBO, this.modelMatricesUBO, this.pointLightUBO);
+      }
     }
 
     if (scene.gui.showVoxels) {
       // Render debug scene
       this.voxelConeTracer.renderVoxelDebug(scene, camera, this.sceneUBO);
     } else if (scene.gui.useVoxelGI) {
-      this.voxelConeTracer.render(scene, camera, this.depthTexture, this.guiUBO, this.sceneUBO, this.materialUBO, this.modelMatricesUBO);
+      const blended = object => object.material.blending === Material.BLEND;
+      const standard = object => object.material.shader === Material.STANDARD;
+      const opaque = scene.objects.filter(object => !blended(object));
+      if (scene.gui.deferredRendering) {
+        this._renderDeferred(scene, camera);
+      } else {
+        this._renderByShader(scene, camera, opaque.filter(object => !standard(object)).concat(opaque.filter(standard)));
+      }
+      // Blended meshes need what is behind them, they go last from back to front whichever shader they use
+      this._renderByShader(scene, camera, Material.drawOrder(scene.objects.filter(blended), camera.position));
     } else {
       this._renderScene(scene, camera);
     }
   }
 
-  _renderScene(scene, camera) {
+  // Draws objects in their order, cone traced or with the standard shader as their material says. Neighbours
+  // with the same shader are drawn together.
+  _renderByShader(scene, camera, objects) {
+    const runs = [];
+    objects.forEach(object => {
+      const run = runs[runs.length - 1];
+      if (run && run.shader === object.material.shader) {
+        run.objects.push(object);
+      } else {
+        runs.push({ shader: object.material.shader, objects: [object] });
+      }
+    });
+
+    runs.forEach(run => {
+      if (run.shader === Material.STANDARD) {
+        this._renderScene(scene, camera, run.objects);
+      } else {
+        this.voxelConeTracer.render(scene, camera, this.depthTexture, this.guiUBO, this.sceneUBO, this.materialUBO, this.modelMatricesUBO,
+          run.objects);
+      }
+    });
+  }
+
+  // Opaque and masked meshes go to the G-buffer, then every pixel of it is lit once
+  _renderDeferred(scene, camera) {
+    const gl = glContext();
+    if (!this.gBuffer || this.gBuffer.width !== gl.canvas.width || this.gBuffer.height !== gl.canvas.height) {
+      if (this.gBuffer) {
+        this.gBuffer.delete();
+      }
+      // Albedo, normal, metallic roughness occlusion and emission, see GBufferShader. Without renderable half
+      // floats emission is stored as RGBA8 and clamped to 1, unlike on the forward path.
+      const emissiveFormat = this.voxelConeTracer.hdr ? gl.RGBA16F : gl.RGBA8;
+      this.gBuffer = new FrameBufferObject(gl.canvas.width, gl.canvas.height,
+        [gl.RGBA8, gl.RGB10_A2, gl.RGBA8, emissiveFormat], /*depthTexture=*/true);
+    }
+
+    this.gBuffer.bind();
+    gl.clearColor(0.0, 0.0, 0.0, 0.0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    this.gBufferShader.activate();
+    const program = this.gBufferShader.program;
+    gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'guiDataBuffer'), this.guiUBO.location);
+    gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'sceneBuffer'), this.sceneUBO.location);
+
+    scene.objects.filter(object => object.material.blending !== Material.BLEND).forEach(object => {
+      gl.uniform1i(gl.getUniformLocation(program, 'coneTraced'), object.material.shader !== Material.STANDARD);
+      this._renderObject(object, scene, camera, program);
+    });
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+    this.voxelConeTracer.renderDeferred(camera, this.gBuffer, this.depthTexture, this.guiUBO, this.sceneUBO);
+  }
+
+  // Meshes of the scene unless objects are given
+  _renderScene(scene, camera, objects = scene.objects) {
+    if (!objects.length) {
+      return;
+    }
+
     this.standardShader.activate();
 
     const gl = glContext();
@@ -242,7 +440,7 @@ class Renderer {
     gl.uniformBlockBinding(program, gl.getUniformBlockIndex(program, 'sceneBuffer'), this.sceneUBO.location);
 
     // Render scene normal
-    scene.objects.forEach(object => {
+    Material.drawOrder(objects, camera.position).forEach(object => {
       this._renderObject(object, scene, camera, program);
     });
   }
@@ -256,8 +454,8 @@ class Renderer {
     //gl.enable(gl.DEPTH_TEST);
 
     gl.bindFramebuffer(gl.FRAMEBUFFER, this.depthFBO);
-    //gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
     gl.viewport(0, 0, this.shadowMapResolution, this.shadowMapResolution);
+    gl.clear(gl.DEPTH_BUFFER_BIT);
 
     gl.uniformMatrix4fv(gl.getUniformLocation(this.shadowShader.program, 'depthView'), false, this.shadowCam.viewMatrix);
     gl.uniformMatrix4fv(gl.getUniformLocation(this.shadowShader.program, 'depthProj'), false, this.shadowCam.projectionMatrix);
@@ -268,6 +466,7 @@ class Renderer {
         ...object.normalMatrix
       ]);
       gl.uniformBlockBinding(this.shadowShader.program, gl.getUniformBlockIndex(this.shadowShader.program, 'modelMatrices'), this.modelMatricesUBO.location);
+      object.uploadSkin(this.shadowShader.program);
       object.draw();
     });
 
@@ -310,6 +509,10 @@ Renderer.LIGHT_DATA_CHUNK_SIZE = 12; // EACH element is 4 bytes in float32array
 Renderer.MATERIAL_DATA_CHUNK_SIZE = 50;
 Renderer.MAX_LIGHTS = 16;
 Renderer.MAX_MATERIALS = 25;
+Renderer.VOXEL_VOLUME_PADDING = 0.02; // of the scene diagonal
+Renderer.VOXEL_RESOLUTION = 256;
+Renderer.CLIPMAP_RESOLUTION = 128; // per cascade
+Renderer.OCTREE_RESOLUTION = 512;
 
 export const glContext = () => {
   return context;
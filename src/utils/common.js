@@ -1,4 +1,4 @@
-import { vec3 } from 'gl-matrix';
+import { vec3, mat3 } from 'gl-matrix';
 
 // Cred https://github.com/andrevenancio/engine
 
@@ -152,4 +152,78 @@ export function mergeVertices(data) {
     indices: new Uint16Array(f),
     normals: new Float32Array(generateVertexNormals(p, f)),
   };
-}
\ No newline at end of file
+}
+
+// Per vertex tangents and bitangents from the uv directions of the faces around it
+export function generateVertexTangents(positions, normals, uvs, indices) {
+  const vertexCount = positions.length / 3;
+  const tangents = new Float32Array(3 * vertexCount);
+  const bitangents = new Float32Array(3 * vertexCount);
+
+  for (let i = 0; i < indices.length; i += 3) {
+    const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]];
+    const e1 = [0, 1, 2].map(k => positions[3 * b + k] - positions[3 * a + k]);
+    const e2 = [0, 1, 2].map(k => positions[3 * c + k] - positions[3 * a + k]);
+    const du1 = uvs[2 * b] - uvs[2 * a];
+    const dv1 = uvs[2 * b + 1] - uvs[2 * a + 1];
+    const du2 = uvs[2 * c] - uvs[2 * a];
+    const dv2 = uvs[2 * c + 1] - uvs[2 * a + 1];
+    const det = du1 * dv2 - du2 * dv1;
+    if (det === 0) {
+      continue;
+    }
+
+    const r = 1.0 / det;
+    for (const v of [a, b, c]) {
+      for (let k = 0; k < 3; k++) {
+        tangents[3 * v + k] += (e1[k] * dv2 - e2[k] * dv1) * r;
+        bitangents[3 * v + k] += (e2[k] * du1 - e1[k] * du2) * r;
+      }
+    }
+  }
+
+  // Orthogonal to the normal, any direction for vertices without uv changes around them
+  const n = vec3.create();
+  const t = vec3.create();
+  const b = vec3.create();
+  for (let v = 0; v < vertexCount; v++) {
+    vec3.set(n, normals[3 * v], normals[3 * v + 1], normals[3 * v + 2]);
+    vec3.set(t, tangents[3 * v], tangents[3 * v + 1], tangents[3 * v + 2]);
+    vec3.scaleAndAdd(t, t, n, -vec3.dot(n, t));
+    if (vec3.squaredLength(t) < 1e-12) {
+      vec3.set(t, Math.abs(n[0]) < 0.9 ? 1 : 0, Math.abs(n[0]) < 0.9 ? 0 : 1, 0);
+      vec3.scaleAndAdd(t, t, n, -vec3.dot(n, t));
+    }
+    vec3.normalize(t, t);
+
+    const handedness = bitangents[3 * v] * (n[1] * t[2] - n[2] * t[1]) +
+      bitangents[3 * v + 1] * (n[2] * t[0] - n[0] * t[2]) +
+      bitangents[3 * v + 2] * (n[0] * t[1] - n[1] * t[0]) < 0 ? -1 : 1;
+    vec3.cross(b, n, t);
+    vec3.scale(b, b, handedness);
+
+    tangents.set(t, 3 * v);
+    bitangents.set(b, 3 * v);
+  }
+
+  return { tangents, bitangents };
+}
+
+// Angles around x, then y, then z, the order Entity rotates in, of a rotation matrix without scale
+export function eulerFromRotationMatrix(out, m) {
+  // m is column major, m[3 * column + row]
+  const sinY = Math.min(Math.max(m[6], -1.0), 1.0);
+  out[1] = Math.asin(sinY);
+  if (Math.abs(sinY) < 0.9999999) {
+    out[0] = Math.atan2(-m[7], m[8]);
+    out[2] = Math.atan2(-m[3], m[0]);
+  } else {
+    out[0] = Math.atan2(m[5], m[4]);
+    out[2] = 0.0;
+  }
+  return out;
+}
+
+export function eulerFromQuat(out, q) {
+  return eulerFromRotationMatrix(out, mat3.fromQuat(mat3.create(), q));
+}
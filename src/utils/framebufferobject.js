@@ -1,27 +1,51 @@
 import { glContext } from '../renderer/renderer.js';
 
+// One color texture per entry of formats, attached to COLOR_ATTACHMENT0 onwards and all drawn to. colorBuffer is
+// the first of colorBuffers. Depth goes to a renderbuffer, or with depthTexture to depthBuffer for shaders to read.
 class FrameBufferObject {
-  constructor(w, h) {
+  constructor(w, h, formats = [glContext().RGBA16F], depthTexture = false) {
     const gl = glContext();
+    this.width = w;
+    this.height = h;
     this.fbo = gl.createFramebuffer();
     gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbo);
 
     gl.getExtension("EXT_color_buffer_float");
     //gl.getExtension("OES_texture_float_linear"); We don't need linear filtering
 
-    // Color attachment
-    this.colorBuffer = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, this.colorBuffer);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, w, h, 0, gl.RGBA, gl.FLOAT, null);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.colorBuffer, 0);
+    // Color attachments
+    this.colorBuffers = formats.map((format, i) => {
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texStorage2D(gl.TEXTURE_2D, 1, format, w, h);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, gl.TEXTURE_2D, texture, 0);
+      return texture;
+    });
+    this.colorBuffer = this.colorBuffers[0];
+    gl.drawBuffers(formats.map((format, i) => gl.COLOR_ATTACHMENT0 + i));
 
     // DS attachment
-    this.renderBuffer = gl.createRenderbuffer();
-    gl.bindRenderbuffer(gl.RENDERBUFFER, this.renderBuffer);
-    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, w, h);    
-    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.renderBuffer);
+    this.renderBuffer = null;
+    this.depthBuffer = null;
+    if (depthTexture) {
+      this.depthBuffer = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, this.depthBuffer);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texStorage2D(gl.TEXTURE_2D, 1, gl.DEPTH_COMPONENT24, w, h);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, this.depthBuffer, 0);
+    } else {
+      this.renderBuffer = gl.createRenderbuffer();
+      gl.bindRenderbuffer(gl.RENDERBUFFER, this.renderBuffer);
+      gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, w, h);
+      gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.renderBuffer);
+    }
 
     // const ext = gl.getExtension("EXT_color_buffer_float");
     // if (!ext) {
@@ -75,6 +99,19 @@ class FrameBufferObject {
     gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbo);
     gl.bindRenderbuffer(gl.RENDERBUFFER, this.renderBuffer);
   }
+
+  // Frees the textures and the framebuffer, e.g. before one of a new size replaces it
+  delete() {
+    const gl = glContext();
+    this.colorBuffers.forEach(texture => gl.deleteTexture(texture));
+    if (this.depthBuffer) {
+      gl.deleteTexture(this.depthBuffer);
+    }
+    if (this.renderBuffer) {
+      gl.deleteRenderbuffer(this.renderBuffer);
+    }
+    gl.deleteFramebuffer(this.fbo);
+  }
 }
 
 export default FrameBufferObject;
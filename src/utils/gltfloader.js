@@ -0,0 +1,498 @@
+import { mat3, mat4, vec3 } from 'gl-matrix';
+import Mesh from '../core/mesh.js';
+import Entity from '../core/object.js';
+import Track from '../animation/track.js';
+import AnimationClip from '../animation/animationclip.js';
+import Skeleton from '../animation/skeleton.js';
+import Material from '../materials/material.js';
+import { generateVertexNormals, generateVertexTangents, eulerFromRotationMatrix } from './common.js';
+
+// glTF 2.0, .gltf with its .bin and images or a single .glb, https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html
+//
+// load resolves to the Meshes of the default scene, one per triangle primitive, named after their mesh. The node
+// hierarchy is baked into the position, rotation and scale of each Mesh, loadScene keeps it along with the
+// animations. Needs the Renderer's context, create the Renderer first. Each Mesh gets an asset reference
+// { url, index } for Scene.toJSON.
+//
+// The metallic-roughness materials become Materials shared by their primitives: base color as diffuse, normal
+// texture as bump map, metallic, roughness, occlusion and emissive with their textures. Masked alpha becomes a
+// dissolve map, blended alpha the opacity of a blended Material.
+// KHR_texture_transform of the base color texture, or the first texture with one, is baked into the uvs.
+class GLTFLoader {
+  constructor() { }
+
+  load(url) {
+    return this._fetch(url, (buffer, baseUrl) => this.parse(buffer, baseUrl)).then(meshes => {
+      meshes.forEach((mesh, index) => {
+        mesh.asset = { url, index };
+      });
+      return meshes;
+    });
+  }
+
+  // Keeps the node hierarchy and the animations. Resolves to { root, meshes, animations }, root is an Entity
+  // holding an Entity per node of the default scene, with the Meshes of a node's primitives under it.
+  // animations are AnimationClips of the nodes' translation, rotation and scale for an Animator. Skinned meshes
+  // get a Skeleton of the joint Entities, load leaves them in their bind pose.
+  loadScene(url) {
+    return this._fetch(url, (buffer, baseUrl) => this.parseScene(buffer, baseUrl)).then(result => {
+      // Same order as load, a scene saved with these meshes reloads them through load
+      result.meshes.forEach((mesh, index) => {
+        mesh.asset = { url, index };
+      });
+      return result;
+    });
+  }
+
+  // buffer is the .gltf or .glb file, baseUrl where its relative uris are
+  parse(buffer, baseUrl = '') {
+    return this._parse(buffer, baseUrl).then(({ json, buffers, images }) => this._createMeshes(json, buffers, images));
+  }
+
+  parseScene(buffer, baseUrl = '') {
+    return this._parse(buffer, baseUrl).then(({ json, buffers, images }) => this._createScene(json, buffers, images));
+  }
+
+  _fetch(url, parse) {
+    const baseUrl = url.substring(0, url.lastIndexOf('/') + 1);
+    return fetch(url)
+      .then(response => response.arrayBuffer())
+      .then(buffer => parse(buffer, baseUrl));
+  }
+
+  // Resolves to the json with its buffers and images
+  _parse(buffer, baseUrl) {
+    const view = new DataView(buffer);
+    let json;
+    let binChunk = null;
+    if (view.getUint32(0, true) === GLB_MAGIC) {
+      // 12 byte header, then chunks of length, type and data
+      let offset = 12;
+      while (offset < view.getUint32(8, true)) {
+        const length = view.getUint32(offset, true);
+        const type = view.getUint32(offset + 4, true);
+        const data = buffer.slice(offset + 8, offset + 8 + length);
+        if (type === GLB_JSON) {
+          json = JSON.parse(new TextDecoder().decode(data));
+        } else if (type === GLB_BIN) {
+          binChunk = data;
+        }
+        offset += 8 + length;
+      }
+    } else {
+      json = JSON.parse(new TextDecoder().decode(buffer));
+    }
+
+    if (!json || !json.asset || !json.asset.version.startsWith('2.')) {
+      return Promise.reject(new Error("Not a glTF 2.0 file"));
+    }
+
+    const buffers = Promise.all((json.buffers || []).map(({ uri }) => {
+      return uri === undefined ? binChunk : fetch(resolveUri(uri, baseUrl)).then(response => response.arrayBuffer());
+    }));
+
+    return buffers.then(buffers => {
+      return this._loadImages(json, buffers, baseUrl).then(images => ({ json, buffers, images }));
+    });
+  }
+
+  _loadImages(json, buffers, baseUrl) {
+    return Promise.all((json.images || []).map(image => {
+      let src;
+      let objectUrl = null;
+      if (image.bufferView !== undefined) {
+        const { buffer, byteOffset = 0, byteLength } = json.bufferViews[image.bufferView];
+        const blob = new Blob([new Uint8Array(buffers[buffer], byteOffset, byteLength)], { type: image.mimeType });
+        src = objectUrl = URL.createObjectURL(blob);
+      } else {
+        src = resolveUri(image.uri, baseUrl);
+      }
+
+      return new Promise(resolve => {
+        const img = new Image();
+        img.onload = () => {
+          if (objectUrl) {
+            URL.revokeObjectURL(objectUrl);
+          }
+          resolve(img);
+        };
+        img.onerror = () => {
+          console.error("Couldn't load glTF image " + (image.name || image.uri || image.bufferView));
+          resolve(null);
+        };
+        img.src = src;
+      });
+    }));
+  }
+
+  _createMeshes(json, buffers, images) {
+    const meshes = [];
+    const createMeshes = this._meshCreator(json, buffers, images);
+
+    visitNodes(json, (node, parentMatrix) => {
+      const matrix = mat4.create();
+      mat4.multiply(matrix, parentMatrix, localMatrix(node));
+      createMeshes(node).forEach(mesh => {
+        decompose(matrix, mesh);
+        meshes.push(mesh);
+      });
+      return matrix;
+    }, mat4.create());
+    return meshes;
+  }
+
+  _createScene(json, buffers, images) {
+    const root = new Entity();
+    const meshes = [];
+    const entities = new Map();
+    const skinnedMeshes = [];
+    const createMeshes = this._meshCreator(json, buffers, images);
+
+    visitNodes(json, (node, parent, index) => {
+      const entity = new Entity();
+      entity.name = node.name;
+      decompose(localMatrix(node), entity);
+      createMeshes(node).forEach(mesh => {
+        entity.add(mesh);
+        meshes.push(mesh);
+        if (node.skin !== undefined) {
+          skinnedMeshes.push({ mesh, skin: node.skin });
+        }
+      });
+      parent.add(entity);
+      entities.set(index, entity);
+      return entity;
+    }, root);
+
+    // The joints are known once every node has its Entity
+    const skeletons = new Map();
+    skinnedMeshes.forEach(({ mesh, skin }) => {
+      if (!skeletons.has(skin)) {
+        skeletons.set(skin, this._skeleton(json, buffers, json.skins[skin], entities));
+      }
+      const skeleton = skeletons.get(skin);
+      if (skeleton) {
+        mesh.bindSkeleton(skeleton);
+      }
+    });
+
+    const animations = (json.animations || []).map((animation, i) => {
+      const tracks = [];
+      animation.channels.forEach(({ sampler, target }) => {
+        const entity = entities.get(target.node);
+        const property = ANIMATION_PATHS[target.path];
+        if (!entity || !property) {
+          console.warn("Skipping glTF animation channel of " + target.path + " on node " + target.node);
+          return;
+        }
+
+        const { input, output, interpolation = 'LINEAR' } = animation.samplers[sampler];
+        tracks.push(new Track(entity, property, readAccessor(json, buffers, input), readAccessor(json, buffers, output),
+          interpolation.toLowerCase()));
+      });
+      return new AnimationClip(animation.name || 'animation ' + i, tracks);
+    });
+
+    return { root, meshes, animations };
+  }
+
+  // Null if a joint isn't part of the default scene
+  _skeleton(json, buffers, skin, entities) {
+    const joints = skin.joints.map(index => entities.get(index));
+    if (joints.some(joint => !joint)) {
+      console.warn("Skipping glTF skin " + (skin.name || '') + ", its joints aren't all in the scene");
+      return null;
+    }
+
+    let inverseBindMatrices;
+    if (skin.inverseBindMatrices !== undefined) {
+      const matrices = readAccessor(json, buffers, skin.inverseBindMatrices);
+      inverseBindMatrices = joints.map((_, i) => mat4.clone(matrices.subarray(16 * i, 16 * i + 16)));
+    }
+    return new Skeleton(joints, inverseBindMatrices);
+  }
+
+  // Returns node => the Meshes of its primitives, with their materials and without a transform
+  _meshCreator(json, buffers, images) {
+    const createMaterial = material => {
+      const data = this._materialData(json, material, images);
+      data.material = new Material(data.materialData);
+      return data;
+    };
+    const materials = (json.materials || []).map(createMaterial);
+    const defaultMaterial = createMaterial({});
+
+    return node => {
+      if (node.mesh === undefined) {
+        return [];
+      }
+
+      const { name, primitives } = json.meshes[node.mesh];
+      const meshes = [];
+      primitives.forEach(primitive => {
+        if (primitive.mode !== undefined && primitive.mode !== TRIANGLES) {
+          console.warn("Skipping glTF primitive of " + name + ", only triangles are supported");
+          return;
+        }
+
+        const material = primitive.material !== undefined ? materials[primitive.material] : defaultMaterial;
+        const { geometry, indices } = this._primitiveGeometry(json, buffers, primitive, material);
+        const mesh = new Mesh(geometry, indices, material.material);
+        mesh.name = name || node.name;
+        meshes.push(mesh);
+      });
+      return meshes;
+    };
+  }
+
+  _primitiveGeometry(json, buffers, primitive, material) {
+    const { attributes } = primitive;
+    const positions = readAccessor(json, buffers, attributes.POSITION);
+    const vertexCount = positions.length / 3;
+
+    let indices;
+    if (primitive.indices !== undefined) {
+      indices = Array.from(readAccessor(json, buffers, primitive.indices));
+    } else {
+      indices = Array.from({ length: vertexCount }, (_, i) => i);
+    }
+
+    const normals = attributes.NORMAL !== undefined ? readAccessor(json, buffers, attributes.NORMAL) :
+      generateVertexNormals(Array.from(positions), indices);
+
+    // glTF has v going down the image, the shaders flip it the OBJ way
+    const texCoord = attributes['TEXCOORD_' + material.texCoord];
+    const uvs = texCoord !== undefined ? readAccessor(json, buffers, texCoord) : new Float32Array(2 * vertexCount);
+    for (let i = 0; i < uvs.length; i += 2) {
+      const [u, v] = transformUv(uvs[i], uvs[i + 1], material.transform);
+      uvs[i] = u;
+      uvs[i + 1] = 1.0 - v;
+    }
+
+    const geometry = { positions, normals, uvs };
+    if (attributes.JOINTS_0 !== undefined && attributes.WEIGHTS_0 !== undefined) {
+      // Four influences per vertex, more sets aren't read
+      geometry.joints = readAccessor(json, buffers, attributes.JOINTS_0);
+      geometry.weights = readAccessor(json, buffers, attributes.WEIGHTS_0);
+    }
+    if (attributes.TANGENT !== undefined) {
+      // w is the handedness of the bitangent
+      const tangents = readAccessor(json, buffers, attributes.TANGENT);
+      geometry.tangents = new Float32Array(3 * vertexCount);
+      geometry.bitangents = new Float32Array(3 * vertexCount);
+      const n = vec3.create();
+      const t = vec3.create();
+      const b = vec3.create();
+      for (let i = 0; i < vertexCount; i++) {
+        vec3.set(n, normals[3 * i], normals[3 * i + 1], normals[3 * i + 2]);
+        vec3.set(t, tangents[4 * i], tangents[4 * i + 1], tangents[4 * i + 2]);
+        vec3.cross(b, n, t);
+        vec3.scale(b, b, tangents[4 * i + 3]);
+        geometry.tangents.set(t, 3 * i);
+        geometry.bitangents.set(b, 3 * i);
+      }
+    } else if (material.materialData.mapBump) {
+      Object.assign(geometry, generateVertexTangents(positions, normals, uvs, indices));
+    }
+
+    return { geometry, indices };
+  }
+
+  _materialData(json, material, images) {
+    const pbr = material.pbrMetallicRoughness || {};
+    const baseColor = pbr.baseColorFactor || [1, 1, 1, 1];
+    const metallic = pbr.metallicFactor !== undefined ? pbr.metallicFactor : 1.0;
+    const roughness = pbr.roughnessFactor !== undefined ? pbr.roughnessFactor : 1.0;
+
+    const materialData = {
+      diffuse: baseColor.slice(0, 3),
+      emissive: material.emissiveFactor || [0.0, 0.0, 0.0],
+      opacity: baseColor[3],
+      metallic,
+      roughness,
+      doubleSided: Boolean(material.doubleSided),
+    };
+
+    const textureInfos = {
+      mapDiffuse: pbr.baseColorTexture,
+      mapBump: material.normalTexture,
+      mapEmissive: material.emissiveTexture,
+      mapMetallicRoughness: pbr.metallicRoughnessTexture,
+      mapOcclusion: material.occlusionTexture,
+    };
+
+    // One uv set per mesh, the base color texture decides which and how it is transformed
+    const transformOf = info => info.extensions && info.extensions.KHR_texture_transform;
+    const infos = Object.values(textureInfos).filter(Boolean);
+    const uvTexture = pbr.baseColorTexture || infos.find(transformOf) || infos[0];
+    const transform = uvTexture && transformOf(uvTexture) || null;
+    let texCoord = uvTexture && uvTexture.texCoord || 0;
+    if (transform && transform.texCoord !== undefined) {
+      texCoord = transform.texCoord;
+    }
+
+    Object.entries(textureInfos).forEach(([key, info]) => {
+      const image = info && json.textures[info.index] && images[json.textures[info.index].source];
+      if (image) {
+        materialData[key] = { texture: image };
+      }
+    });
+    if (material.occlusionTexture) {
+      materialData.occlusionStrength = material.occlusionTexture.strength !== undefined ? material.occlusionTexture.strength : 1.0;
+    }
+
+    // The dissolve map tests red, copy the base color alpha there
+    if (material.alphaMode === 'MASK' && materialData.mapDiffuse) {
+      materialData.mapDissolve = { texture: alphaToRed(materialData.mapDiffuse.texture) };
+      materialData.blending = Material.MASK;
+    } else if (material.alphaMode === 'BLEND') {
+      materialData.blending = Material.BLEND;
+    } else {
+      materialData.blending = Material.OPAQUE;
+    }
+
+    return { materialData, texCoord, transform };
+  }
+};
+
+const GLB_MAGIC = 0x46546c67; // glTF
+const GLB_JSON = 0x4e4f534a;
+const GLB_BIN = 0x004e4942;
+const TRIANGLES = 4;
+
+const COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+// componentType: [bytes, DataView getter, divisor of normalized values]
+const COMPONENT_TYPES = {
+  5120: [1, 'getInt8', 127],
+  5121: [1, 'getUint8', 255],
+  5122: [2, 'getInt16', 32767],
+  5123: [2, 'getUint16', 65535],
+  5125: [4, 'getUint32', 1],
+  5126: [4, 'getFloat32', 1],
+};
+
+// Animated node properties to Track properties, morph target weights aren't supported
+const ANIMATION_PATHS = { translation: 'position', rotation: 'orientation', scale: 'scale' };
+
+// Depth first over the nodes of the default scene, visit(node, parentResult, index) returns what its
+// children get as parentResult
+function visitNodes(json, visit, rootResult) {
+  const nodes = json.nodes || [];
+  const walk = (index, parentResult) => {
+    const node = nodes[index];
+    const result = visit(node, parentResult, index);
+    (node.children || []).forEach(child => walk(child, result));
+  };
+
+  // Without scenes every node that isn't a child is a root
+  const scene = json.scenes && json.scenes[json.scene || 0];
+  const children = new Set(nodes.flatMap(node => node.children || []));
+  const roots = scene ? scene.nodes || [] : nodes.map((_, i) => i).filter(i => !children.has(i));
+  roots.forEach(root => walk(root, rootResult));
+}
+
+function localMatrix(node) {
+  if (node.matrix) {
+    return mat4.clone(node.matrix);
+  }
+  const matrix = mat4.create();
+  mat4.fromRotationTranslationScale(matrix, node.rotation || [0, 0, 0, 1], node.translation || [0, 0, 0], node.scale || [1, 1, 1]);
+  return matrix;
+}
+
+function resolveUri(uri, baseUrl) {
+  return /^[a-z]+:/i.test(uri) ? uri : baseUrl + decodeURI(uri);
+}
+
+// Accessor values as floats, normalized integers scaled to [-1, 1] or [0, 1]
+function readAccessor(json, buffers, index) {
+  const accessor = json.accessors[index];
+  const components = COMPONENTS[accessor.type];
+  const values = new Float32Array(accessor.count * components);
+
+  const read = (bufferViewIndex, byteOffset, componentType, count, components, target, normalized) => {
+    const bufferView = json.bufferViews[bufferViewIndex];
+    const [size, getter, divisor] = COMPONENT_TYPES[componentType];
+    const view = new DataView(buffers[bufferView.buffer], (bufferView.byteOffset || 0) + byteOffset);
+    const stride = bufferView.byteStride || size * components;
+    for (let i = 0; i < count; i++) {
+      for (let c = 0; c < components; c++) {
+        const value = view[getter](i * stride + c * size, true);
+        target[i * components + c] = normalized ? Math.max(value / divisor, -1.0) : value;
+      }
+    }
+  };
+
+  // No buffer view means zeros, before the sparse values
+  if (accessor.bufferView !== undefined) {
+    read(accessor.bufferView, accessor.byteOffset || 0, accessor.componentType, accessor.count, components,
+      values, accessor.normalized);
+  }
+
+  if (accessor.sparse) {
+    const { count, indices, values: sparseValues } = accessor.sparse;
+    const targets = new Float32Array(count);
+    read(indices.bufferView, indices.byteOffset || 0, indices.componentType, count, 1, targets, false);
+    const replaced = new Float32Array(count * components);
+    read(sparseValues.bufferView, sparseValues.byteOffset || 0, accessor.componentType, count, components,
+      replaced, accessor.normalized);
+    targets.forEach((target, i) => values.set(replaced.subarray(i * components, (i + 1) * components), target * components));
+  }
+
+  return values;
+}
+
+// KHR_texture_transform, scale then rotate then offset
+function transformUv(u, v, transform) {
+  if (!transform) {
+    return [u, v];
+  }
+
+  const [offsetU, offsetV] = transform.offset || [0, 0];
+  const [scaleU, scaleV] = transform.scale || [1, 1];
+  const rotation = transform.rotation || 0;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const su = u * scaleU;
+  const sv = v * scaleV;
+  return [cos * su + sin * sv + offsetU, -sin * su + cos * sv + offsetV];
+}
+
+// Sets position, rotation and scale of the entity from a matrix. Entity rotates around x, then y, then z.
+function decompose(matrix, entity) {
+  mat4.getTranslation(entity.position, matrix);
+  mat4.getScaling(entity.scale, matrix);
+  if (mat4.determinant(matrix) < 0) {
+    entity.scale[0] = -entity.scale[0];
+  }
+
+  const m = mat3.create();
+  mat3.fromMat4(m, matrix);
+  for (let column = 0; column < 3; column++) {
+    for (let row = 0; row < 3; row++) {
+      m[3 * column + row] /= entity.scale[column];
+    }
+  }
+
+  eulerFromRotationMatrix(entity.rotation, m);
+  entity.update();
+}
+
+// A canvas with the alpha of the image in red
+function alphaToRed(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0);
+  const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+  for (let i = 0; i < pixels.data.length; i += 4) {
+    pixels.data[i] = pixels.data[i + 3];
+    pixels.data[i + 3] = 255;
+  }
+  context.putImageData(pixels, 0, 0);
+  return canvas;
+}
+
+export default GLTFLoader;
@@ -18,13 +18,13 @@ class UniformBufferObject {
     gl.bindBufferBase(gl.UNIFORM_BUFFER, this.location, this.buffer);
   }
 
-  // TODO: Dont upload all
+  // Only the range written is uploaded, offset and data.length are in floats
   update(data, offset = 0) {
     const gl = glContext();
     //debugger;
     this.data.set(data, offset);
     gl.bindBuffer(gl.UNIFORM_BUFFER, this.buffer);
-    gl.bufferSubData(gl.UNIFORM_BUFFER, 0, this.data, 0, null);
+    gl.bufferSubData(gl.UNIFORM_BUFFER, 4 * offset, this.data, offset, data.length);
     gl.bindBuffer(gl.UNIFORM_BUFFER, null);
   }
 }
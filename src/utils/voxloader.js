@@ -0,0 +1,248 @@
+import { mat4, vec3 } from 'gl-matrix';
+import VoxelMesher from '../gi/voxelmesher.js';
+import Material from '../materials/material.js';
+
+// MagicaVoxel .vox files, https://github.com/ephtracy/voxel-model/blob/master/MagicaVoxel-file-format-vox.txt
+//
+// load resolves to { models, palette }. Each model is
+//   size: voxels along x, y and z
+//   indices: a Uint8Array of size[0] * size[1] * size[2] palette indices with x running fastest, 0 for empty
+//   matrix: model space, voxel (x, y, z) covering [x, x + 1] and so on, to the scene of the file in voxels.
+//     The file is z up, the matrix turns it y up like the engine.
+// palette holds RGBA bytes, 4 per index. Files without a palette get a grey ramp, not MagicaVoxel's default.
+//
+// The models go into the voxel volume with VoxelConeTracer.insertVoxelModel or become meshes with createMeshes.
+class VoxLoader {
+  constructor() { }
+
+  load(url) {
+    return fetch(url)
+      .then(response => response.arrayBuffer())
+      .then(buffer => this.parse(buffer));
+  }
+
+  parse(buffer) {
+    const reader = new ChunkReader(buffer);
+    if (reader.string(4) !== 'VOX ') {
+      return Promise.reject(new Error("Not a MagicaVoxel file"));
+    }
+    reader.int(); // version
+
+    const models = [];
+    const nodes = new Map();
+    let palette = null;
+    reader.chunks(reader.offset, buffer.byteLength, (id, chunk) => {
+      if (id === 'SIZE') {
+        models.push({ size: [chunk.int(), chunk.int(), chunk.int()] });
+      } else if (id === 'XYZI') {
+        const model = models[models.length - 1];
+        const [w, h, d] = model.size;
+        model.indices = new Uint8Array(w * h * d);
+        const count = chunk.int();
+        for (let i = 0; i < count; i++) {
+          const [x, y, z, index] = [chunk.byte(), chunk.byte(), chunk.byte(), chunk.byte()];
+          model.indices[x + w * (y + h * z)] = index;
+        }
+      } else if (id === 'RGBA') {
+        // Color i of the chunk is palette index i + 1
+        palette = new Uint8Array(256 * 4);
+        palette.set(new Uint8Array(buffer, chunk.offset, 255 * 4), 4);
+      } else if (id === 'nTRN') {
+        const node = { id: chunk.int(), type: id, attributes: chunk.dict() };
+        node.child = chunk.int();
+        chunk.int(); // reserved
+        chunk.int(); // layer
+        const frames = chunk.int();
+        node.frame = frames > 0 ? chunk.dict() : {};
+        nodes.set(node.id, node);
+      } else if (id === 'nGRP') {
+        const node = { id: chunk.int(), type: id, attributes: chunk.dict() };
+        const count = chunk.int();
+        node.children = [];
+        for (let i = 0; i < count; i++) {
+          node.children.push(chunk.int());
+        }
+        nodes.set(node.id, node);
+      } else if (id === 'nSHP') {
+        const node = { id: chunk.int(), type: id, attributes: chunk.dict() };
+        const count = chunk.int();
+        node.models = [];
+        for (let i = 0; i < count; i++) {
+          node.models.push(chunk.int());
+          chunk.dict();
+        }
+        nodes.set(node.id, node);
+      }
+    });
+
+    if (!palette) {
+      palette = new Uint8Array(256 * 4);
+      for (let i = 0; i < 256; i++) {
+        palette.set([i, i, i, 255], 4 * i);
+      }
+    }
+
+    // z up to y up
+    const toEngine = mat4.fromValues(
+      1, 0, 0, 0,
+      0, 0, -1, 0,
+      0, 1, 0, 0,
+      0, 0, 0, 1);
+
+    // Models are centred on their translation, older files without a scene graph put them all at the origin
+    const placements = nodes.has(0) ? this._placeModels(nodes) : models.map((_, i) => ({ model: i, matrix: mat4.create() }));
+    const placedModels = placements.map(({ model, matrix }) => {
+      const { size, indices } = models[model];
+      const centre = mat4.create();
+      mat4.fromTranslation(centre, vec3.fromValues(...size.map(s => -Math.floor(s / 2))));
+      const result = mat4.create();
+      mat4.multiply(result, toEngine, matrix);
+      mat4.multiply(result, result, centre);
+      return { size, indices, matrix: result };
+    });
+
+    return Promise.resolve({ models: placedModels, palette });
+  }
+
+  // Geometry of a model as greedy meshed quads, one { geometry, indices, material } per palette color so
+  // every Mesh has a single diffuse color. voxelSize scales the voxels, the positions are in model space
+  // so the model matrix goes on the Mesh.
+  createMeshes(model, palette, voxelSize = 1.0) {
+    const [w, h, d] = model.size;
+    const voxels = new Float32Array(w * h * d * 4);
+    model.indices.forEach((index, i) => {
+      if (index !== 0) {
+        voxels.set([palette[4 * index] / 255, palette[4 * index + 1] / 255, palette[4 * index + 2] / 255, 1.0], 4 * i);
+      }
+    });
+
+    const { geometry, indices } = new VoxelMesher({ dimensions: model.size, voxelSize, volumeMin: [0, 0, 0] }, voxels).greedy();
+
+    // Every quad has one color, split the triangles by it
+    const meshes = new Map();
+    for (let t = 0; t < indices.length; t += 3) {
+      const first = 3 * indices[t];
+      const key = geometry.colors.slice(first, first + 3).join(',');
+      if (!meshes.has(key)) {
+        meshes.set(key, { positions: [], normals: [], uvs: [], indices: [], remap: new Map() });
+      }
+      const mesh = meshes.get(key);
+      for (let k = 0; k < 3; k++) {
+        const vertex = indices[t + k];
+        if (!mesh.remap.has(vertex)) {
+          mesh.remap.set(vertex, mesh.positions.length / 3);
+          mesh.positions.push(...geometry.positions.slice(3 * vertex, 3 * vertex + 3));
+          mesh.normals.push(...geometry.normals.slice(3 * vertex, 3 * vertex + 3));
+          mesh.uvs.push(0.0, 0.0);
+        }
+        mesh.indices.push(mesh.remap.get(vertex));
+      }
+    }
+
+    return Array.from(meshes, ([key, mesh]) => ({
+      geometry: { positions: mesh.positions, normals: mesh.normals, uvs: mesh.uvs },
+      indices: mesh.indices,
+      material: new Material({ diffuse: key.split(',').map(Number) }),
+    }));
+  }
+
+  // Walks the scene graph from the root transform node, the matrix of each shape is the product of the
+  // transforms above it
+  _placeModels(nodes) {
+    const placements = [];
+    const visit = (id, parentMatrix) => {
+      const node = nodes.get(id);
+      if (!node) {
+        return;
+      }
+
+      if (node.type === 'nTRN') {
+        const matrix = mat4.create();
+        mat4.multiply(matrix, parentMatrix, frameMatrix(node.frame));
+        visit(node.child, matrix);
+      } else if (node.type === 'nGRP') {
+        node.children.forEach(child => visit(child, parentMatrix));
+      } else {
+        node.models.forEach(model => placements.push({ model, matrix: parentMatrix }));
+      }
+    };
+    visit(0, mat4.create());
+    return placements;
+  }
+};
+
+// Rotation and translation of a transform frame. _r packs a signed permutation matrix: bits 0-1 and 2-3
+// hold the column of the non zero entry in rows 0 and 1, bits 4, 5 and 6 make rows 0, 1 and 2 negative.
+function frameMatrix(frame) {
+  const matrix = mat4.create();
+  if (frame._r !== undefined) {
+    const bits = parseInt(frame._r, 10);
+    const column0 = bits & 3;
+    const column1 = (bits >> 2) & 3;
+    const columns = [column0, column1, 3 - column0 - column1];
+    matrix[0] = matrix[5] = matrix[10] = 0;
+    columns.forEach((column, row) => {
+      // mat4 is column major
+      matrix[4 * column + row] = bits & (1 << (4 + row)) ? -1 : 1;
+    });
+  }
+  if (frame._t !== undefined) {
+    const [x, y, z] = frame._t.split(' ').map(Number);
+    matrix[12] = x;
+    matrix[13] = y;
+    matrix[14] = z;
+  }
+  return matrix;
+}
+
+// Little endian reads through a .vox buffer
+class ChunkReader {
+  constructor(buffer, offset = 0) {
+    this.view = new DataView(buffer);
+    this.buffer = buffer;
+    this.offset = offset;
+  }
+
+  byte() {
+    return this.view.getUint8(this.offset++);
+  }
+
+  int() {
+    const value = this.view.getInt32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  string(length = this.int()) {
+    const bytes = new Uint8Array(this.buffer, this.offset, length);
+    this.offset += length;
+    return String.fromCharCode(...bytes);
+  }
+
+  dict() {
+    const dict = {};
+    const count = this.int();
+    for (let i = 0; i < count; i++) {
+      const key = this.string();
+      dict[key] = this.string();
+    }
+    return dict;
+  }
+
+  // Calls visit(id, reader at its content) for every chunk between start and end and their children
+  chunks(start, end, visit) {
+    let offset = start;
+    while (offset + 12 <= end) {
+      this.offset = offset;
+      const id = this.string(4);
+      const contentSize = this.int();
+      const childrenSize = this.int();
+      const content = this.offset;
+      visit(id, new ChunkReader(this.buffer, content));
+      this.chunks(content + contentSize, content + contentSize + childrenSize, visit);
+      offset = content + contentSize + childrenSize;
+    }
+  }
+};
+
+export default VoxLoader;